@@ -0,0 +1,292 @@
+// agentRegistry.js
+// Agents are data: every active row in cl_phone_agents whose `env` is AGENT_ENV
+// (dev / staging / prod, default dev) defines one agent.
+//
+//   agent_key        short name used for handoffs and router intents ('router', 'items', ...)
+//   system_prompt    session instructions, unless the agent has prompt versions (below)
+//   prompt_translations  { language code: system prompt } for callers in other languages (languages.js)
+//   pinned_prompt_version  serve this prompt version and run no variants (rollback lever)
+//   is_entry         calls start on this agent (exactly one)
+//   tools            OpenAI function definitions (JSON Schema parameters). Optional extra key:
+//                      handoff_on_intent: true -> if the endpoint's output has an `intent`
+//                      naming an allowed handoff target, the call is handed off there
+//                      timeout_ms / retries / retry_backoff_ms -> endpoint call tuning (toolClient.js)
+//   tool_endpoints   { tool name: URL or "env:VAR_NAME" } for tools answered over HTTP
+//   handoff_targets  agent keys this agent may hand off to; a tool named
+//                    handoff_to_<key> hands off directly (no endpoint)
+//   barge_in_enabled / barge_in_after_ms   playback settings (see server.js); a null
+//                    barge_in_after_ms is 0 for replies and GREETING_BARGE_IN_AFTER_MS for the greeting
+//   silence_timeout_s / max_reprompts      no-input handling: reprompt after this much caller
+//                    silence, hang up after this many unanswered reprompts (0 s disables)
+//   voice_id / voice_model_id / voice_settings   the agent's ElevenLabs voice; unset ones fall
+//                    back to the ELEVENLABS_* env (voice_settings overrides key by key), and a
+//                    caller language with its own ELEVENLABS_VOICE_ID_<LANG> / _MODEL_ID_<LANG> keeps it
+//   pronunciations   { "word or phrase": "how to spell it for TTS" } (pronunciation.js)
+//
+// Prompts are versioned in cl_phone_agent_prompts (agent_key, env, version): an edit is a
+// new version, and the newest one is live unless the agent pins another. Active rows in
+// cl_phone_prompt_variants split calls between versions by weight; each call gets its
+// variant from choosePromptVariant(), and server.js records it with the call.
+
+import crypto from 'crypto'
+import { supabase } from './supabaseClient.js'
+import { DEFAULT_LANGUAGE, languageName } from './languages.js'
+import { compileLexicon } from './pronunciation.js'
+
+export const HANDOFF_TOOL_PREFIX = 'handoff_to_'
+
+let AGENTS = new Map()
+let ENTRY_AGENT_KEY = null
+
+export function agentEnv() {
+  return process.env.AGENT_ENV || 'dev'
+}
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name])
+  return Number.isFinite(n) && process.env[name] !== '' ? n : fallback
+}
+
+export function defaultAgentSettings() {
+  return {
+    bargeInEnabled: process.env.BARGE_IN_ENABLED !== 'false',
+    bargeInAfterMs: null,
+    silenceTimeoutMs: envNumber('SILENCE_TIMEOUT_S', 10) * 1000,
+    maxReprompts: envNumber('SILENCE_MAX_REPROMPTS', 2),
+  }
+}
+
+// Only these keys are sent to OpenAI; the rest of a tool definition is gateway config
+function toOpenAITool(def) {
+  return {
+    type: 'function',
+    name: def.name,
+    description: def.description || '',
+    parameters: def.parameters || { type: 'object', properties: {} },
+  }
+}
+
+// Only the keys a tool definition actually sets, so toolClient.js defaults apply otherwise
+function toolOptionsFromDef(def) {
+  const options = {}
+  if (Number.isFinite(def.timeout_ms)) options.timeoutMs = def.timeout_ms
+  if (Number.isFinite(def.retries)) options.retries = def.retries
+  if (Number.isFinite(def.retry_backoff_ms)) options.backoffMs = def.retry_backoff_ms
+  return options
+}
+
+function translationsOf(value) {
+  return value && typeof value === 'object' ? value : {}
+}
+
+// versions: Map(version -> { prompt, promptTranslations }) from cl_phone_agent_prompts.
+// Returns the live prompt plus the variants calls are split between.
+function promptsForAgent(row, versions, variantRows) {
+  if (!versions.size) {
+    return {
+      prompt: row.system_prompt || '',
+      promptTranslations: translationsOf(row.prompt_translations),
+      promptVersion: null,
+      promptVariants: [],
+    }
+  }
+
+  let live = Math.max(...versions.keys())
+  const pinned = row.pinned_prompt_version
+  if (pinned != null) {
+    if (versions.has(pinned)) live = pinned
+    else console.warn(`[Agents] ${row.agent_key}: pinned prompt version ${pinned} not found, using ${live}`)
+  }
+
+  const promptVariants =
+    pinned != null
+      ? []
+      : variantRows
+          .filter((v) => Number(v.weight) > 0)
+          .filter((v) => {
+            if (versions.has(v.prompt_version)) return true
+            console.warn(`[Agents] ${row.agent_key}: variant ${v.variant} uses missing prompt version ${v.prompt_version}`)
+            return false
+          })
+          .map((v) => ({ name: v.variant, version: v.prompt_version, weight: Number(v.weight), ...versions.get(v.prompt_version) }))
+
+  return { ...versions.get(live), promptVersion: live, promptVariants }
+}
+
+function agentFromRow(row, versions = new Map(), variantRows = []) {
+  const defaults = defaultAgentSettings()
+  const toolDefs = (Array.isArray(row.tools) ? row.tools : []).filter((t) => t && typeof t.name === 'string')
+
+  return {
+    key: row.agent_key,
+    slug: row.slug,
+    ...promptsForAgent(row, versions, variantRows),
+    isEntry: !!row.is_entry,
+    tools: toolDefs.map(toOpenAITool),
+    handoffOnIntent: new Set(toolDefs.filter((t) => t.handoff_on_intent).map((t) => t.name)),
+    toolOptions: Object.fromEntries(toolDefs.map((t) => [t.name, toolOptionsFromDef(t)])),
+    toolEndpoints: row.tool_endpoints && typeof row.tool_endpoints === 'object' ? row.tool_endpoints : {},
+    handoffTargets: Array.isArray(row.handoff_targets) ? row.handoff_targets : [],
+    bargeInEnabled: typeof row.barge_in_enabled === 'boolean' ? row.barge_in_enabled : defaults.bargeInEnabled,
+    bargeInAfterMs: Number.isFinite(row.barge_in_after_ms) ? row.barge_in_after_ms : defaults.bargeInAfterMs,
+    silenceTimeoutMs: Number.isFinite(row.silence_timeout_s) ? row.silence_timeout_s * 1000 : defaults.silenceTimeoutMs,
+    maxReprompts: Number.isFinite(row.max_reprompts) ? row.max_reprompts : defaults.maxReprompts,
+    voiceId: row.voice_id || null,
+    voiceModelId: row.voice_model_id || null,
+    voiceSettings: row.voice_settings && typeof row.voice_settings === 'object' ? row.voice_settings : null,
+    lexicon: compileLexicon(row.pronunciations),
+  }
+}
+
+export async function reloadAgentRegistry() {
+  const env = agentEnv()
+  try {
+    const [agentsResult, promptsResult, variantsResult] = await Promise.all([
+      supabase.from('cl_phone_agents').select('*').eq('is_active', true).eq('env', env),
+      supabase
+        .from('cl_phone_agent_prompts')
+        .select('agent_key, version, system_prompt, prompt_translations')
+        .eq('env', env),
+      supabase
+        .from('cl_phone_prompt_variants')
+        .select('agent_key, variant, prompt_version, weight')
+        .eq('env', env)
+        .eq('is_active', true),
+    ])
+
+    const error = agentsResult.error || promptsResult.error || variantsResult.error
+    if (error) {
+      // Keep serving with the previous registry
+      console.error('[Agents] Error loading from DB:', error)
+      return
+    }
+
+    // agent_key -> Map(version -> prompt)
+    const versionsByAgent = new Map()
+    for (const row of promptsResult.data || []) {
+      if (!versionsByAgent.has(row.agent_key)) versionsByAgent.set(row.agent_key, new Map())
+      versionsByAgent.get(row.agent_key).set(row.version, {
+        prompt: row.system_prompt || '',
+        promptTranslations: translationsOf(row.prompt_translations),
+      })
+    }
+
+    const agents = new Map()
+    let entryKey = null
+
+    for (const row of agentsResult.data || []) {
+      if (!row.agent_key) {
+        console.warn('[Agents] Skipping row without agent_key:', row.slug)
+        continue
+      }
+      if (agents.has(row.agent_key)) {
+        console.warn('[Agents] Duplicate agent_key', row.agent_key, '- using', row.slug)
+      }
+      const agent = agentFromRow(
+        row,
+        versionsByAgent.get(row.agent_key),
+        (variantsResult.data || []).filter((v) => v.agent_key === row.agent_key)
+      )
+      agents.set(agent.key, agent)
+      if (agent.isEntry) entryKey = agent.key
+    }
+
+    if (!entryKey) console.error(`[Agents] No active entry agent (is_entry) configured for AGENT_ENV=${env}`)
+
+    AGENTS = agents
+    ENTRY_AGENT_KEY = entryKey
+
+    console.log(
+      `[Agents] Reloaded (${env}):`,
+      [...agents.values()]
+        .map((a) => {
+          const prompt = !a.prompt ? 'MISSING' : a.promptVersion != null ? `v${a.promptVersion}` : 'OK'
+          const variants = a.promptVariants.length
+            ? `, variants=${a.promptVariants.map((v) => `${v.name}:v${v.version}/${v.weight}`).join('|')}`
+            : ''
+          return `${a.key}${a.isEntry ? '*' : ''}(prompt=${prompt}${variants}, tools=${a.tools.length})`
+        })
+        .join(' ')
+    )
+  } catch (e) {
+    console.error('[Agents] Unexpected error reloading:', e)
+  }
+}
+
+export function getAgent(key) {
+  return AGENTS.get(key) || null
+}
+
+// The prompt version a call uses for `agent`: { variant, version, prompt, promptTranslations }.
+// Variants are picked by weight from a hash of the callSid, so a call always gets
+// the same one; variant is null when the agent runs no experiment.
+export function choosePromptVariant(agent, callSid) {
+  const live = {
+    variant: null,
+    version: agent.promptVersion,
+    prompt: agent.prompt,
+    promptTranslations: agent.promptTranslations,
+  }
+  const total = agent.promptVariants.reduce((sum, v) => sum + v.weight, 0)
+  if (!total) return live
+
+  const hash = crypto.createHash('sha256').update(`${callSid || Math.random()}:${agent.key}`).digest()
+  let point = hash.readUInt32BE(0) % total
+  for (const v of agent.promptVariants) {
+    if (point < v.weight) {
+      return { variant: v.name, version: v.version, prompt: v.prompt, promptTranslations: v.promptTranslations }
+    }
+    point -= v.weight
+  }
+  return live
+}
+
+// The prompt for a caller speaking `language`: its translation if there is one,
+// else the default prompt with an instruction to answer in that language.
+// `choice` (choosePromptVariant) overrides the agent's live prompt.
+export function agentPrompt(agent, language = DEFAULT_LANGUAGE, choice = null) {
+  const { prompt, promptTranslations } = choice || agent || {}
+  const translated = promptTranslations?.[language]
+  if (translated) return translated
+  if (!prompt || language === DEFAULT_LANGUAGE) return prompt || ''
+  return `${prompt}\n\nThe caller speaks ${languageName(language)}. Always answer in ${languageName(language)}.`
+}
+
+export function getEntryAgent() {
+  return ENTRY_AGENT_KEY ? AGENTS.get(ENTRY_AGENT_KEY) : null
+}
+
+export function listAgents() {
+  return [...AGENTS.values()]
+}
+
+export function agentHasTool(agent, toolName) {
+  return !!agent?.tools.some((t) => t.name === toolName)
+}
+
+// The tool (and its owning agent) that classifies intent and drives handoffs.
+// Prefer the current agent's own; otherwise the entry agent's.
+export function findRoutingTool(agent) {
+  for (const candidate of [agent, getEntryAgent()]) {
+    const name = candidate && [...candidate.handoffOnIntent][0]
+    if (name) return { agent: candidate, toolName: name }
+  }
+  return null
+}
+
+export function getToolOptions(agent, toolName) {
+  return agent?.toolOptions?.[toolName] || {}
+}
+
+// Returns { label, url } where label names the env var (or the literal URL) for logs.
+// url is null when the tool has no endpoint or its env var is unset.
+export function resolveToolEndpoint(agent, toolName) {
+  const ref = agent?.toolEndpoints?.[toolName]
+  if (!ref || typeof ref !== 'string') return null
+
+  if (ref.startsWith('env:')) {
+    const envName = ref.slice(4)
+    return { label: envName, url: process.env[envName] || null }
+  }
+  return { label: ref, url: ref }
+}
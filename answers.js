@@ -1,25 +1,156 @@
+// answers.js
+// Approved wording from answer_templates, cached in memory (reloaded with the
+// agent registry by /refresh-prompts) and rendered without a DB round-trip.
+// Each key can have one row per language (answer_templates.language, see
+// languages.js); a language without its own row falls back to English.
+//
+// Template syntax:
+//   {{name}}                      value of params.name
+//   {{location.address}}          nested value
+//   {{hours|call the office}}     default when the value is missing or empty
+//   {{#if notes}}...{{else}}...{{/if}}   conditional block (blocks may nest)
+// A {{var}} without a default that isn't supplied renders as '' and is warned about.
+
 import { supabase } from './supabaseClient.js'
+import { DEFAULT_LANGUAGE } from './languages.js'
+
+let TEMPLATES = new Map() // key -> Map(language -> spoken_template)
+
+export async function reloadAnswerTemplates() {
+  try {
+    const { data, error } = await supabase
+      .from('answer_templates')
+      .select('key, spoken_template, language')
+      .eq('is_active', true)
+
+    if (error) {
+      // Keep serving the previous templates
+      console.error('[Answers] Error loading templates:', error)
+      return
+    }
 
-export async function speakAnswer(key, params = {}) {
-  const { data, error } = await supabase
-    .from('answer_templates')
-    .select('spoken_template')
-    .eq('key', key)
-    .eq('is_active', true)
-    .single()
-
-  if (error || !data) {
-    console.error('[Answers] Missing template for key:', key, error)
-    return "I don't have an answer configured for that yet."
+    const templates = new Map()
+    for (const row of data || []) {
+      if (!row.key) continue
+      if (!templates.has(row.key)) templates.set(row.key, new Map())
+      templates.get(row.key).set(row.language || DEFAULT_LANGUAGE, row.spoken_template || '')
+    }
+
+    TEMPLATES = templates
+    console.log('[Answers] Reloaded templates:', TEMPLATES.size)
+  } catch (e) {
+    console.error('[Answers] Unexpected error reloading templates:', e)
   }
+}
+
+export function hasAnswerTemplate(key) {
+  return TEMPLATES.has(key)
+}
 
-  let text = data.spoken_template
+export function listAnswerKeys() {
+  return [...TEMPLATES.keys()]
+}
+
+// ---------------------------------------------------------------------------
+// Rendering
+// ---------------------------------------------------------------------------
+
+const TAG = /\{\{\s*([^}]*?)\s*\}\}/g
+
+// Flat token list -> tree of { text } | { path, fallback } | { if, then, else }
+function parse(template) {
+  const root = []
+  const stack = [{ nodes: root }]
+  let last = 0
+
+  for (const m of template.matchAll(TAG)) {
+    const top = stack[stack.length - 1]
+    if (m.index > last) top.nodes.push({ text: template.slice(last, m.index) })
+    last = m.index + m[0].length
+
+    const tag = m[1]
+    if (tag.startsWith('#if ')) {
+      const block = { if: tag.slice(4).trim(), then: [], else: [] }
+      top.nodes.push(block)
+      stack.push({ block, nodes: block.then })
+    } else if (tag === 'else' && top.block) {
+      top.nodes = top.block.else
+    } else if (tag === '/if' && top.block) {
+      stack.pop()
+    } else {
+      const bar = tag.indexOf('|')
+      top.nodes.push(bar < 0 ? { path: tag } : { path: tag.slice(0, bar).trim(), fallback: tag.slice(bar + 1) })
+    }
+  }
+  if (last < template.length) stack[stack.length - 1].nodes.push({ text: template.slice(last) })
+  if (stack.length > 1) console.warn('[Answers] Template has an unclosed {{#if}}')
+
+  return root
+}
+
+function lookup(params, path) {
+  return path.split('.').reduce((obj, part) => (obj == null ? undefined : obj[part]), params)
+}
+
+function isEmpty(value) {
+  return value == null || value === '' || value === false || (Array.isArray(value) && !value.length)
+}
+
+function evaluate(nodes, params, missing) {
+  let out = ''
+  for (const node of nodes) {
+    if (node.text !== undefined) {
+      out += node.text
+    } else if (node.if !== undefined) {
+      out += evaluate(isEmpty(lookup(params, node.if)) ? node.else : node.then, params, missing)
+    } else {
+      const value = lookup(params, node.path)
+      if (!isEmpty(value)) out += String(value)
+      else if (node.fallback !== undefined) out += node.fallback
+      else missing.add(node.path)
+    }
+  }
+  return out
+}
+
+// Returns { text, missing: [var names referenced but not supplied] }
+export function renderTemplate(template, params = {}) {
+  const missing = new Set()
+  const text = evaluate(parse(template), params, missing)
+    .replace(/\s{2,}/g, ' ')
+    .trim()
+  return { text, missing: [...missing] }
+}
+
+// Templates that need no params render the same every time, so their audio can be
+// synthesized ahead of the first call (ttsCache.js pre-warm). Returns [{ text, language }].
+export function listStaticAnswerTexts() {
+  const texts = []
+  for (const byLanguage of TEMPLATES.values()) {
+    for (const [language, template] of byLanguage) {
+      const { text, missing } = renderTemplate(template)
+      if (text && !missing.length) texts.push({ text, language })
+    }
+  }
+  return texts
+}
 
-  // very simple {{var}} interpolation
-  for (const [k, v] of Object.entries(params)) {
-    const safeVal = v == null ? '' : String(v)
-    text = text.replaceAll(`{{${k}}}`, safeVal)
+// Renders a cached template in `language` (English if it has no row for it);
+// `fallback` is returned when the key is unknown
+export async function speakAnswer(
+  key,
+  params = {},
+  fallback = "I don't have an answer configured for that yet.",
+  language = DEFAULT_LANGUAGE
+) {
+  const byLanguage = TEMPLATES.get(key)
+  const template = byLanguage?.get(language) ?? byLanguage?.get(DEFAULT_LANGUAGE)
+  if (template === undefined) {
+    console.error('[Answers] Missing template for key:', key)
+    return fallback
   }
 
+  const { text, missing } = renderTemplate(template, params)
+  if (missing.length) console.warn(`[Answers] Template ${key} missing vars:`, missing.join(', '))
   return text
 }
@@ -0,0 +1,145 @@
+// audioCodec.js
+// G.711 µ-law (what Twilio media streams carry) and the transcoder that turns an
+// uploaded greeting into it, so nobody has to run ffmpeg: a WAV with 16-bit PCM at
+// any sample rate and channel count is mixed to mono, resampled to 8 kHz and
+// encoded; an 8 kHz mono µ-law WAV is unwrapped; anything else that isn't a
+// RIFF/WAVE file is taken to be raw µ-law already (.ulaw).
+
+const ULAW_RATE = 8000
+const WAVE_FORMAT_PCM = 1
+const WAVE_FORMAT_MULAW = 7
+const WAVE_FORMAT_EXTENSIBLE = 0xfffe
+
+// µ-law byte -> signed 16-bit sample
+export const ULAW_TO_LINEAR = Int16Array.from({ length: 256 }, (_, byte) => {
+  const u = ~byte & 0xff
+  const magnitude = ((((u & 0x0f) << 3) + 0x84) << ((u >> 4) & 0x07)) - 0x84
+  return u & 0x80 ? -magnitude : magnitude
+})
+
+// Signed 16-bit sample -> µ-law byte
+export function linearToUlaw(sample) {
+  const BIAS = 0x84
+  const CLIP = 32635
+  const sign = sample < 0 ? 0x80 : 0
+  const s = Math.min(Math.abs(Math.round(sample)), CLIP) + BIAS
+  let exponent = 7
+  for (let mask = 0x4000; (s & mask) === 0 && exponent > 0; mask >>= 1) exponent -= 1
+  const mantissa = (s >> (exponent + 3)) & 0x0f
+  return ~(sign | (exponent << 4) | mantissa) & 0xff
+}
+
+function parseWav(buf) {
+  let fmt = null
+  let data = null
+  for (let off = 12; off + 8 <= buf.length; ) {
+    const id = buf.toString('ascii', off, off + 4)
+    const size = buf.readUInt32LE(off + 4)
+    const body = buf.subarray(off + 8, Math.min(off + 8 + size, buf.length))
+    if (id === 'fmt ' && body.length >= 16) {
+      let format = body.readUInt16LE(0)
+      // Extensible: the real format is the first two bytes of the sub-format GUID
+      if (format === WAVE_FORMAT_EXTENSIBLE && body.length >= 26) format = body.readUInt16LE(24)
+      fmt = { format, channels: body.readUInt16LE(2), sampleRate: body.readUInt32LE(4), bitsPerSample: body.readUInt16LE(14) }
+    }
+    if (id === 'data') data = body
+    off += 8 + size + (size % 2)
+  }
+  if (!fmt || !data) throw new Error('WAV has no fmt or data chunk')
+  if (!fmt.channels || !fmt.sampleRate) throw new Error('WAV has no channels or sample rate')
+  return { ...fmt, data }
+}
+
+// Interleaved PCM16 -> mono samples (channels averaged)
+function pcm16ToMono(data, channels) {
+  const frames = Math.floor(data.length / (2 * channels))
+  const mono = new Float64Array(frames)
+  for (let i = 0; i < frames; i++) {
+    let sum = 0
+    for (let ch = 0; ch < channels; ch++) sum += data.readInt16LE((i * channels + ch) * 2)
+    mono[i] = sum / channels
+  }
+  return mono
+}
+
+// Stateful resampler for audio that arrives in chunks: returns the output
+// samples each chunk completes and keeps the rest for the next one. Down: each
+// output sample averages the input samples it covers (a box filter, enough to
+// keep voice from aliasing). Up: linear interpolation.
+export function createResampler(fromRate, toRate) {
+  const ratio = fromRate / toRate
+  let pending = new Float64Array(0)
+  let pos = 0 // position of the next output sample in `pending`
+
+  return function resample(samples) {
+    if (ratio === 1) return samples
+    const buf = new Float64Array(pending.length + samples.length)
+    buf.set(pending)
+    buf.set(samples, pending.length)
+
+    const out = []
+    if (ratio > 1) {
+      while (pos + ratio <= buf.length) {
+        const start = Math.floor(pos)
+        const end = Math.max(Math.floor(pos + ratio), start + 1)
+        let sum = 0
+        for (let j = start; j < end; j++) sum += buf[j]
+        out.push(sum / (end - start))
+        pos += ratio
+      }
+    } else {
+      while (pos + 1 < buf.length) {
+        const j = Math.floor(pos)
+        out.push(buf[j] + (buf[j + 1] - buf[j]) * (pos - j))
+        pos += ratio
+      }
+    }
+
+    const keep = Math.min(Math.floor(pos), buf.length)
+    pending = buf.subarray(keep)
+    pos -= keep
+    return Float64Array.from(out)
+  }
+}
+
+function encodeUlaw(samples) {
+  const out = Buffer.alloc(samples.length)
+  for (let i = 0; i < samples.length; i++) out[i] = linearToUlaw(samples[i])
+  return out
+}
+
+// Live audio in PCM16 (mono, little-endian) at `rate` <-> 8 kHz µ-law, chunk by chunk
+// (the browser transport, see transports.js)
+export function createPcmTranscoder(rate) {
+  const down = createResampler(rate, ULAW_RATE)
+  const up = createResampler(ULAW_RATE, rate)
+  return {
+    toUlaw(pcm) {
+      return encodeUlaw(down(pcm16ToMono(pcm, 1)))
+    },
+    fromUlaw(ulaw) {
+      const samples = up(Float64Array.from(ulaw, (byte) => ULAW_TO_LINEAR[byte]))
+      const out = Buffer.alloc(samples.length * 2)
+      for (let i = 0; i < samples.length; i++) out.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(samples[i]))), i * 2)
+      return out
+    },
+  }
+}
+
+// Any supported greeting file -> raw 8 kHz mono µ-law. Throws on formats it can't read.
+export function toUlaw(buf) {
+  if (buf.length < 12 || buf.toString('ascii', 0, 4) !== 'RIFF' || buf.toString('ascii', 8, 12) !== 'WAVE') return buf
+
+  const wav = parseWav(buf)
+  if (wav.format === WAVE_FORMAT_MULAW) {
+    if (wav.sampleRate !== ULAW_RATE || wav.channels !== 1) {
+      throw new Error(`µ-law WAV must be 8 kHz mono, got ${wav.sampleRate} Hz x${wav.channels}`)
+    }
+    return Buffer.from(wav.data)
+  }
+  if (wav.format !== WAVE_FORMAT_PCM || wav.bitsPerSample !== 16) {
+    throw new Error(`unsupported WAV (format ${wav.format}, ${wav.bitsPerSample}-bit): use 16-bit PCM`)
+  }
+
+  return encodeUlaw(createResampler(wav.sampleRate, ULAW_RATE)(pcm16ToMono(wav.data, wav.channels)))
+}
@@ -0,0 +1,196 @@
+// callLog.js
+// Per-call records in Supabase: one cl_phone_calls row per callSid, plus
+// cl_phone_call_turns (caller/assistant text), cl_phone_tool_calls,
+// cl_phone_transfers, cl_phone_voicemails, cl_phone_recordings and cl_phone_sms.
+//
+// Nothing here is awaited on the audio path: writes are queued in memory and
+// flushed in batches on a timer. A failed batch is logged and dropped.
+
+import { supabase } from './supabaseClient.js'
+
+const FLUSH_INTERVAL_MS = 1000
+const MAX_BATCH = 500
+
+// call_sid -> full cl_phone_calls row (kept until the call has ended and been written)
+const callRows = new Map()
+const dirtyCalls = new Set()
+
+const pendingRows = {
+  cl_phone_call_turns: [],
+  cl_phone_tool_calls: [],
+  cl_phone_transfers: [],
+  cl_phone_voicemails: [],
+  cl_phone_recordings: [],
+  cl_phone_sms: [],
+}
+
+let flushing = null
+
+function updateCall(callSid, fields) {
+  if (!callSid) return
+  callRows.set(callSid, { ...(callRows.get(callSid) || { call_sid: callSid }), ...fields })
+  dirtyCalls.add(callSid)
+}
+
+export function logCallStarted(
+  callSid,
+  { streamSid = null, transport = null, agent = null, language = null, callerNumber = null, agentEnv = null } = {}
+) {
+  updateCall(callSid, {
+    stream_sid: streamSid,
+    transport,
+    started_at: new Date().toISOString(),
+    final_agent: agent,
+    language,
+    caller_number: callerNumber,
+    agent_env: agentEnv,
+  })
+}
+
+export function logCallLanguage(callSid, language) {
+  if (!callRows.has(callSid)) return
+  updateCall(callSid, { language })
+}
+
+export function logCallAgent(callSid, agent) {
+  if (!callRows.has(callSid)) return
+  updateCall(callSid, { final_agent: agent })
+}
+
+// Prompt version / A/B variant the call used for `agent` (agentRegistry.js choosePromptVariant)
+export function logCallPrompt(callSid, agent, { version = null, variant = null } = {}) {
+  if (!callRows.has(callSid)) return
+  const promptVersions = callRows.get(callSid).prompt_versions || {}
+  updateCall(callSid, { prompt_versions: { ...promptVersions, [agent]: { version, variant } } })
+}
+
+// summary: callerContext.js summarizeCall(), shown to the agent on the caller's next call
+export function logCallEnded(
+  callSid,
+  { agent = null, hangupReason = null, ttsCacheHits = 0, ttsCacheMisses = 0, summary = null } = {}
+) {
+  if (!callRows.has(callSid) || callRows.get(callSid).ended_at) return
+  updateCall(callSid, {
+    ended_at: new Date().toISOString(),
+    final_agent: agent,
+    hangup_reason: hangupReason,
+    tts_cache_hits: ttsCacheHits,
+    tts_cache_misses: ttsCacheMisses,
+    summary,
+  })
+}
+
+// role: 'caller' | 'assistant'
+export function logTurn(callSid, { role, agent = null, text }) {
+  if (!callSid || !text) return
+  pendingRows.cl_phone_call_turns.push({
+    call_sid: callSid,
+    role,
+    agent,
+    text,
+    created_at: new Date().toISOString(),
+  })
+}
+
+export function logToolCall(callSid, { agent = null, toolName, args = null, endpoint = null, response = null, latencyMs = null, error = null }) {
+  if (!callSid) return
+  pendingRows.cl_phone_tool_calls.push({
+    call_sid: callSid,
+    agent,
+    tool_name: toolName,
+    args,
+    endpoint,
+    response,
+    latency_ms: latencyMs,
+    error,
+    created_at: new Date().toISOString(),
+  })
+}
+
+// transcript: [{ role, text }] spoken so far, so whoever picks up the voicemail/transfer has context
+export function logTransfer(callSid, { agent = null, reason = null, mode, transcript = [], error = null }) {
+  if (!callSid) return
+  pendingRows.cl_phone_transfers.push({
+    call_sid: callSid,
+    agent,
+    reason,
+    mode,
+    transcript,
+    error,
+    created_at: new Date().toISOString(),
+  })
+}
+
+export function logVoicemail(callSid, { recordingUrl, durationSeconds = null }) {
+  if (!callSid || !recordingUrl) return
+  pendingRows.cl_phone_voicemails.push({
+    call_sid: callSid,
+    recording_url: recordingUrl,
+    duration_seconds: durationSeconds,
+    created_at: new Date().toISOString(),
+  })
+}
+
+// Our own dual-channel recording (recording.js), not Twilio's
+export function logRecording(callSid, { bucket, storagePath, durationSeconds = null }) {
+  if (!callSid || !storagePath) return
+  pendingRows.cl_phone_recordings.push({
+    call_sid: callSid,
+    bucket,
+    storage_path: storagePath,
+    duration_seconds: durationSeconds,
+    created_at: new Date().toISOString(),
+  })
+}
+
+// Texts sent to the caller during the call (send_sms); sid is Twilio's message SID
+export function logSms(callSid, { agent = null, to, body, sid = null, consentUtterance = null, error = null }) {
+  if (!callSid) return
+  pendingRows.cl_phone_sms.push({
+    call_sid: callSid,
+    agent,
+    to_number: to,
+    body,
+    message_sid: sid,
+    consent_utterance: consentUtterance,
+    error,
+    created_at: new Date().toISOString(),
+  })
+}
+
+async function writeBatches() {
+  // Call rows first so turns/tool calls never reference a missing call
+  if (dirtyCalls.size) {
+    const sids = [...dirtyCalls]
+    dirtyCalls.clear()
+    const rows = sids.map((sid) => callRows.get(sid))
+
+    const { error } = await supabase.from('cl_phone_calls').upsert(rows, { onConflict: 'call_sid' })
+    if (error) console.error('[CallLog] Failed to write calls:', error.message || error)
+
+    for (const row of rows) {
+      if (row.ended_at && !dirtyCalls.has(row.call_sid)) callRows.delete(row.call_sid)
+    }
+  }
+
+  for (const [table, rows] of Object.entries(pendingRows)) {
+    while (rows.length) {
+      const batch = rows.splice(0, MAX_BATCH)
+      const { error } = await supabase.from(table).insert(batch)
+      if (error) console.error(`[CallLog] Failed to write ${batch.length} rows to ${table}:`, error.message || error)
+    }
+  }
+}
+
+export function flushCallLog() {
+  if (!flushing) {
+    flushing = writeBatches()
+      .catch((e) => console.error('[CallLog] Unexpected flush error:', e))
+      .finally(() => {
+        flushing = null
+      })
+  }
+  return flushing
+}
+
+setInterval(flushCallLog, FLUSH_INTERVAL_MS).unref()
@@ -0,0 +1,85 @@
+// callRegistry.js
+// Calls currently connected to this process, by callSid. server.js registers a
+// handle once a media stream is authorized and removes it when the stream closes;
+// shutdown uses it to wait for calls to finish and to end the ones that don't, and
+// the admin API to list, watch and steer them.
+//
+// Handle (supplied by server.js):
+//   { streamSid, callerNumber, agent(), language(), transcript(),
+//     hangUp(reason, templateKey, fallback), close(reason), handoff(agentKey, question), say(text) }
+// hangUp() says the template (or `fallback` when templateKey is null) and ends the
+// call through Twilio; close() drops the call without a word.
+//
+// Live events ({ type, at, ... }) are published per call for the admin feed; a
+// { type: 'closed' } event is the last one a subscriber gets.
+
+const calls = new Map() // callSid -> handle
+const emptyWaiters = new Set()
+const subscribers = new Map() // callSid -> Set(listener)
+
+export function registerCall(callSid, handle) {
+  calls.set(callSid, { callSid, startedAt: Date.now(), ...handle })
+}
+
+export function unregisterCall(callSid) {
+  if (!calls.delete(callSid)) return
+  publishCallEvent(callSid, { type: 'closed' })
+  subscribers.delete(callSid)
+  if (calls.size) return
+  for (const resolve of emptyWaiters) resolve(true)
+  emptyWaiters.clear()
+}
+
+export function getCall(callSid) {
+  return calls.get(callSid) || null
+}
+
+export function listCalls() {
+  return [...calls.values()]
+}
+
+export function activeCallCount() {
+  return calls.size
+}
+
+// Resolves true once no calls are left, false if `timeoutMs` passes first
+export function waitForNoCalls(timeoutMs) {
+  if (!calls.size) return Promise.resolve(true)
+  return new Promise((resolve) => {
+    const done = (empty) => {
+      clearTimeout(timer)
+      emptyWaiters.delete(done)
+      resolve(empty)
+    }
+    const timer = setTimeout(() => done(false), timeoutMs)
+    emptyWaiters.add(done)
+  })
+}
+
+// ---------------------------------------------------------------------------
+// Live events
+// ---------------------------------------------------------------------------
+
+export function publishCallEvent(callSid, event) {
+  const listeners = subscribers.get(callSid)
+  if (!listeners) return
+  const stamped = { ...event, at: new Date().toISOString() }
+  for (const listener of listeners) {
+    try {
+      listener(stamped)
+    } catch (e) {
+      console.error('[Calls] Event listener failed:', e)
+    }
+  }
+}
+
+// Returns an unsubscribe function
+export function subscribeCallEvents(callSid, listener) {
+  if (!subscribers.has(callSid)) subscribers.set(callSid, new Set())
+  subscribers.get(callSid).add(listener)
+  return () => {
+    const listeners = subscribers.get(callSid)
+    listeners?.delete(listener)
+    if (listeners && !listeners.size) subscribers.delete(callSid)
+  }
+}
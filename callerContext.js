@@ -0,0 +1,136 @@
+// callerContext.js
+// Recognizes returning callers by their number: their cl_callers profile (name,
+// preferred language, registered pickup location), recent cl_orders and the
+// summaries of their last calls (cl_phone_calls.summary, see summarizeCall).
+// server.js adds this to the agent's instructions and to every tool payload;
+// callers we know nothing about get nothing extra.
+//
+// The lookup gives up after CALLER_LOOKUP_TIMEOUT_MS (default 800) so a slow
+// database never holds up a call. Caller ID can be spoofed, so order details stay
+// out of the instructions (lookup_order only reveals orders after verification),
+// and so do the name, pickup location and previous calls until the caller has
+// verified an order: the name is a verification answer, the rest verified-only.
+// Tool payloads follow the same rule. Call summaries never hold what the caller
+// said, which may itself be a verification answer.
+
+import { supabase } from './supabaseClient.js'
+import { languageName, normalizeLanguage } from './languages.js'
+
+const RECENT_ORDERS = 3
+const RECENT_CALLS = 3
+const SUMMARY_MAX_CHARS = 200
+
+function timeoutMs() {
+  const ms = Number(process.env.CALLER_LOOKUP_TIMEOUT_MS)
+  return Number.isFinite(ms) && ms > 0 ? ms : 800
+}
+
+function truncate(text, max) {
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text
+}
+
+// Resolves to a profile, or null for an unknown caller, a timeout or an error:
+// { phone, name, preferredLanguage, pickupLocation, recentOrders: [{ order_number, status }],
+//   recentCalls: [{ at, summary }] }
+export async function lookupCaller(phone) {
+  if (!phone) return null
+  const controller = new AbortController()
+  const timer = setTimeout(() => controller.abort(), timeoutMs())
+
+  try {
+    const [callers, orders, calls] = await Promise.all([
+      supabase
+        .from('cl_callers')
+        .select('name, preferred_language, pickup_location')
+        .eq('phone', phone)
+        .limit(1)
+        .abortSignal(controller.signal),
+      supabase
+        .from('cl_orders')
+        .select('order_number, status')
+        .eq('phone', phone)
+        .order('updated_at', { ascending: false })
+        .limit(RECENT_ORDERS)
+        .abortSignal(controller.signal),
+      supabase
+        .from('cl_phone_calls')
+        .select('started_at, summary')
+        .eq('caller_number', phone)
+        .not('summary', 'is', null)
+        .order('started_at', { ascending: false })
+        .limit(RECENT_CALLS)
+        .abortSignal(controller.signal),
+    ])
+
+    const error = callers.error || orders.error || calls.error
+    if (error) {
+      console.warn('[Caller] Lookup failed:', error.message || error)
+      return null
+    }
+
+    const profile = callers.data?.[0] || null
+    const recentOrders = (orders.data || []).map((o) => ({ order_number: o.order_number, status: o.status || null }))
+    const recentCalls = (calls.data || [])
+      .filter((c) => c.summary)
+      .map((c) => ({ at: c.started_at ? String(c.started_at).slice(0, 10) : null, summary: c.summary }))
+    if (!profile && !recentOrders.length && !recentCalls.length) return null
+
+    return {
+      phone,
+      name: profile?.name || null,
+      preferredLanguage: normalizeLanguage(profile?.preferred_language),
+      pickupLocation: profile?.pickup_location && typeof profile.pickup_location === 'object' ? profile.pickup_location : null,
+      recentOrders,
+      recentCalls,
+    }
+  } catch (e) {
+    console.warn('[Caller] Lookup gave up:', controller.signal.aborted ? `timeout after ${timeoutMs()} ms` : e?.message || e)
+    return null
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+// Appended to the agent's instructions; name, pickup location and previous calls only once `verified`
+export function callerInstructions(profile, { verified = false } = {}) {
+  const lines = ['Returning caller, from our records (use it to help them; do not read it out):']
+  if (verified && profile.name) lines.push(`- Name: ${profile.name}`)
+  if (profile.preferredLanguage) lines.push(`- Preferred language: ${languageName(profile.preferredLanguage)}`)
+  if (verified && profile.pickupLocation) {
+    const { name, address } = profile.pickupLocation
+    lines.push(`- Registered pickup location: ${[name, address].filter(Boolean).join(', ')}`)
+  }
+  if (profile.recentOrders.length) {
+    lines.push(`- Recent orders on file: ${profile.recentOrders.length} (details only through lookup_order, after verification)`)
+  }
+  if (verified && profile.recentCalls.length) {
+    lines.push('- Previous calls:')
+    for (const call of profile.recentCalls) lines.push(`  - ${call.at || 'earlier'}: ${call.summary}`)
+  }
+  return lines.join('\n')
+}
+
+// Sent as `caller` with every tool payload; the record itself only once `verified`
+export function callerPayload(profile, { verified = false } = {}) {
+  const payload = { known: true, verified, preferred_language: profile.preferredLanguage }
+  if (!verified) return payload
+  return {
+    ...payload,
+    name: profile.name,
+    pickup_location: profile.pickupLocation,
+    recent_orders: profile.recentOrders,
+    recent_calls: profile.recentCalls,
+  }
+}
+
+// Stored with the call for the caller's next one; no model involved and none of
+// the caller's words: the agents the call went through, the tools they used and
+// how it ended. null when the caller said nothing.
+export function summarizeCall(transcript, { agents = [], tools = [], agent = null, hangupReason = null } = {}) {
+  if (!transcript.some((t) => t.role === 'caller' && t.text.trim())) return null
+  const path = agents.length ? agents : [agent || 'unknown']
+  const parts = [`Agents: ${path.join(' > ')}.`]
+  if (tools.length) parts.push(`Tools: ${tools.join(', ')}.`)
+  parts.push(`Ended with the ${agent || 'unknown'} agent (${hangupReason || 'hung up'}).`)
+  return truncate(parts.join(' '), SUMMARY_MAX_CHARS)
+}
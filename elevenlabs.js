@@ -0,0 +1,225 @@
+// elevenlabs.js
+// ElevenLabs TTS for the voice gateway. Everything is µ-law 8 kHz so it can go
+// straight to Twilio as 160-byte (20 ms) media frames.
+// - synthesize():     one HTTP request, whole answer buffered (fallback mode)
+// - openTtsStream():  stream-input WebSocket, text pushed as it is generated and
+//                     audio frames yielded as soon as ElevenLabs returns them
+
+import WebSocket from 'ws'
+import axios from 'axios'
+import { ttsLatency } from './metrics.js'
+import { applyLexicon } from './pronunciation.js'
+
+export const FRAME_SIZE = 160 // 20 ms @ 8kHz µ-law
+
+// ELEVENLABS_API_BASE points the gateway at a stand-in server (sim/)
+function apiBase() {
+  return (process.env.ELEVENLABS_API_BASE || 'https://api.elevenlabs.io').replace(/\/+$/, '')
+}
+
+// Text is sent to ElevenLabs at sentence boundaries (or at a space once this long)
+export const MAX_CHUNK_CHARS = 200
+const SENTENCE_END = /[.!?;:]["')\]]?\s/g
+
+// If ElevenLabs goes quiet after we sent end-of-input, give up on the stream
+const STREAM_IDLE_TIMEOUT_MS = 20000
+
+export function toFramesB64(audio) {
+  const frames = []
+  for (let i = 0; i < audio.length; i += FRAME_SIZE) {
+    frames.push(audio.subarray(i, i + FRAME_SIZE).toString('base64'))
+  }
+  return frames
+}
+
+// `lexicon`: the agent's pronunciations (pronunciation.js), applied to the text first
+export async function synthesize({ apiKey, voiceId, modelId, voiceSettings, lexicon = null, text }) {
+  const startedAt = Date.now()
+  const resp = await axios.post(
+    `${apiBase()}/v1/text-to-speech/${voiceId}?output_format=ulaw_8000`,
+    {
+      text: applyLexicon(text, lexicon),
+      model_id: modelId,
+      voice_settings: voiceSettings,
+    },
+    {
+      headers: {
+        'xi-api-key': apiKey,
+        'Content-Type': 'application/json',
+      },
+      responseType: 'arraybuffer',
+      timeout: 20000,
+    }
+  )
+  ttsLatency.observe({ mode: 'http' }, (Date.now() - startedAt) / 1000)
+  return Buffer.from(resp.data)
+}
+
+// Async-iterable queue of base64 frames; iteration waits for more until end()
+function createFrameQueue() {
+  const frames = []
+  let ended = false
+  let notify = null
+
+  return {
+    push(b64) {
+      frames.push(b64)
+      notify?.()
+    },
+    end() {
+      ended = true
+      notify?.()
+    },
+    async *[Symbol.asyncIterator]() {
+      while (true) {
+        if (frames.length) {
+          yield frames.shift()
+          continue
+        }
+        if (ended) return
+        await new Promise((r) => (notify = r))
+        notify = null
+      }
+    },
+  }
+}
+
+// The first complete sentence of `text`, or '' while it is still being generated
+export function firstSentence(text) {
+  for (const m of text.matchAll(SENTENCE_END)) return text.slice(0, m.index + m[0].length)
+  return ''
+}
+
+// Splits off complete sentences from the front of `text`.
+// Returns [chunkToSend, remainder]; chunkToSend is '' when we should keep buffering.
+function takeChunk(text) {
+  let cut = -1
+  for (const m of text.matchAll(SENTENCE_END)) cut = m.index + m[0].length
+  if (cut > 0) return [text.slice(0, cut), text.slice(cut)]
+
+  if (text.length >= MAX_CHUNK_CHARS) {
+    const space = text.lastIndexOf(' ')
+    if (space > 0) return [text.slice(0, space + 1), text.slice(space + 1)]
+  }
+  return ['', text]
+}
+
+export function openTtsStream({ apiKey, voiceId, modelId, voiceSettings, lexicon = null }) {
+  const queue = createFrameQueue()
+  const ws = new WebSocket(
+    `${apiBase().replace(/^http/, 'ws')}/v1/text-to-speech/${voiceId}/stream-input?model_id=${encodeURIComponent(modelId)}&output_format=ulaw_8000`,
+    { headers: { 'xi-api-key': apiKey }, handshakeTimeout: 10000 }
+  )
+
+  let pendingText = ''
+  const outbox = [] // messages queued until the socket opens
+  let finished = false
+  let closed = false
+  let completed = false // ElevenLabs said everything up to finish()
+  let remainder = Buffer.alloc(0)
+  let idleTimer = null
+  let firstTextAt = null // first text sent -> first audio back, for the latency metric
+  let firstAudioAt = null
+
+  function send(obj) {
+    if (closed) return
+    if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(obj))
+    else outbox.push(obj)
+  }
+
+  function armIdleTimer() {
+    clearTimeout(idleTimer)
+    idleTimer = setTimeout(() => {
+      console.warn('[ElevenLabs] Stream idle timeout, closing')
+      close()
+    }, STREAM_IDLE_TIMEOUT_MS)
+  }
+
+  function flushRemainder() {
+    if (remainder.length) queue.push(remainder.toString('base64'))
+    remainder = Buffer.alloc(0)
+  }
+
+  function close() {
+    if (closed) return
+    closed = true
+    clearTimeout(idleTimer)
+    flushRemainder()
+    queue.end()
+    try {
+      ws.close()
+    } catch {}
+  }
+
+  ws.on('open', () => {
+    // First message initializes the stream; text must be a single space
+    ws.send(JSON.stringify({ text: ' ', voice_settings: voiceSettings }))
+    for (const obj of outbox.splice(0)) ws.send(JSON.stringify(obj))
+  })
+
+  ws.on('message', (raw) => {
+    let msg
+    try {
+      msg = JSON.parse(raw.toString())
+    } catch {
+      return
+    }
+
+    if (finished) armIdleTimer()
+
+    if (msg.audio) {
+      if (firstTextAt && !firstAudioAt) {
+        firstAudioAt = Date.now()
+        ttsLatency.observe({ mode: 'stream' }, (firstAudioAt - firstTextAt) / 1000)
+      }
+      const audio = Buffer.concat([remainder, Buffer.from(msg.audio, 'base64')])
+      const whole = audio.length - (audio.length % FRAME_SIZE)
+      for (const b64 of toFramesB64(audio.subarray(0, whole))) queue.push(b64)
+      remainder = audio.subarray(whole)
+    }
+
+    if (msg.isFinal) {
+      completed = finished
+      close()
+    }
+  })
+
+  ws.on('close', () => close())
+
+  ws.on('error', (err) => {
+    console.error('[ElevenLabs] Stream WS Error:', err?.message || err)
+    close()
+  })
+
+  return {
+    frames: queue,
+
+    pushText(delta) {
+      if (finished || closed || !delta) return
+      const [chunk, rest] = takeChunk(pendingText + delta)
+      pendingText = rest
+      if (!chunk.trim()) return
+      firstTextAt ??= Date.now()
+      // Chunks end at a sentence or a space, so no word is split across two
+      send({ text: applyLexicon(chunk, lexicon), flush: true })
+    },
+
+    // No more text: synthesize what is left and let ElevenLabs end the stream
+    finish() {
+      if (finished || closed) return
+      finished = true
+      if (pendingText.trim()) {
+        firstTextAt ??= Date.now()
+        send({ text: applyLexicon(pendingText.trimEnd(), lexicon) + ' ', flush: true })
+      }
+      pendingText = ''
+      send({ text: '' })
+      armIdleTimer()
+    },
+
+    close,
+
+    // Whether the stream ended because all of its text was spoken (not closed early)
+    isComplete: () => completed,
+  }
+}
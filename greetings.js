@@ -0,0 +1,141 @@
+// greetings.js
+// Scheduled greetings: audio files in Supabase Storage (GREETING_BUCKET, default
+// "greetings") picked by the cl_greetings rules, e.g. an after-hours greeting,
+// one for Fridays or a closure notice for specific dates. Uploading a WAV is
+// enough: files go through audioCodec.js (16-bit PCM at any rate, or .ulaw).
+//
+// A rule matches when every condition it sets holds in GREETING_TIMEZONE
+// (default America/New_York): language (null = any), days_of_week (0 = Sunday),
+// start_time/end_time (an end before the start wraps past midnight) and dates.
+// Of the matching rules, one with dates wins, then the highest priority, then
+// one for the caller's language over a language-neutral one. When nothing
+// matches, server.js plays GREETING_FILE as before.
+//
+// Rules and files are reloaded by reloadGreetings() (startup and /refresh-prompts);
+// a file that fails to download or decode keeps its previous audio, and a rule
+// whose file never loaded is skipped.
+
+import { supabase } from './supabaseClient.js'
+import { toFramesB64 } from './elevenlabs.js'
+import { toUlaw } from './audioCodec.js'
+import { normalizeLanguage } from './languages.js'
+
+let RULES = [] // [{ name, language, path, days, startMin, endMin, dates, priority }]
+let FRAMES = new Map() // storage path -> base64 frames
+
+function bucket() {
+  return process.env.GREETING_BUCKET || 'greetings'
+}
+
+function timeZone() {
+  return process.env.GREETING_TIMEZONE || 'America/New_York'
+}
+
+// "17:30" / "17:30:00" -> minutes after midnight
+function minutesOf(time) {
+  const m = /^(\d{1,2}):(\d{2})/.exec(String(time || ''))
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null
+}
+
+function normalizeRule(row) {
+  return {
+    name: row.name || row.storage_path,
+    language: row.language ? normalizeLanguage(row.language) || row.language : null,
+    path: row.storage_path,
+    days: Array.isArray(row.days_of_week) && row.days_of_week.length ? row.days_of_week.map(Number) : null,
+    startMin: minutesOf(row.start_time),
+    endMin: minutesOf(row.end_time),
+    dates: Array.isArray(row.dates) && row.dates.length ? row.dates.map((d) => String(d).slice(0, 10)) : null,
+    priority: Number(row.priority) || 0,
+  }
+}
+
+async function loadFile(path) {
+  const { data, error } = await supabase.storage.from(bucket()).download(path)
+  if (error) throw new Error(error.message || String(error))
+  const audio = toUlaw(Buffer.from(await data.arrayBuffer()))
+  if (!audio.length) throw new Error('no audio')
+  console.log(`[Greeting] Loaded ${bucket()}/${path}, bytes=`, audio.length)
+  return toFramesB64(audio)
+}
+
+export async function reloadGreetings() {
+  const { data, error } = await supabase
+    .from('cl_greetings')
+    .select('name, language, storage_path, days_of_week, start_time, end_time, dates, priority')
+    .eq('is_active', true)
+
+  if (error) {
+    // Keep the previous rules and audio
+    console.error('[Greeting] Error loading schedule:', error)
+    return
+  }
+
+  const rules = (data || []).filter((row) => row.storage_path).map(normalizeRule)
+  const frames = new Map()
+  for (const path of new Set(rules.map((r) => r.path))) {
+    try {
+      frames.set(path, await loadFile(path))
+    } catch (e) {
+      console.error(`[Greeting] Failed to load ${bucket()}/${path}:`, e.message)
+      if (FRAMES.has(path)) frames.set(path, FRAMES.get(path))
+    }
+  }
+
+  RULES = rules
+  FRAMES = frames
+  console.log(`[Greeting] Schedule loaded: ${rules.length} rules, ${frames.size} files`)
+}
+
+// Whether any scheduled greeting is ready to play (for /readyz)
+export function hasScheduledGreetings() {
+  return FRAMES.size > 0
+}
+
+// Date, weekday and time of day where the greetings are scheduled
+function localTime(now) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timeZone(),
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    })
+      .formatToParts(now)
+      .map((p) => [p.type, p.value])
+  )
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    day: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  }
+}
+
+function inWindow(rule, minutes) {
+  const { startMin: start, endMin: end } = rule
+  if (start == null && end == null) return true
+  if (start == null) return minutes < end
+  if (end == null) return minutes >= start
+  return start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end
+}
+
+function matches(rule, language, local) {
+  if (rule.language && rule.language !== language) return false
+  if (rule.dates && !rule.dates.includes(local.date)) return false
+  if (rule.days && !rule.days.includes(local.day)) return false
+  return inWindow(rule, local.minutes)
+}
+
+// { name, frames } of the greeting scheduled for now, or null
+export function scheduledGreeting(language, now = new Date()) {
+  if (!RULES.length) return null
+  const local = localTime(now)
+  const rule = RULES.filter((r) => FRAMES.has(r.path) && matches(r, language, local)).sort(
+    (a, b) => !!b.dates - !!a.dates || b.priority - a.priority || !!b.language - !!a.language
+  )[0]
+  return rule ? { name: rule.name, frames: FRAMES.get(rule.path) } : null
+}
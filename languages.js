@@ -0,0 +1,112 @@
+// languages.js
+// Caller languages. Calls start in English unless the Twilio stream says otherwise
+// (customParameters.language); the first caller utterance is then checked with
+// detectLanguage(), and the caller can also pick a language on the keypad
+// (DTMF_MENU entries like "9=lang:es").
+//
+// Per-language settings, each falling back to the unsuffixed (English) value:
+//   ELEVENLABS_VOICE_ID_<LANG>, ELEVENLABS_MODEL_ID_<LANG>, GREETING_FILE_<LANG>
+// e.g. ELEVENLABS_VOICE_ID_YI. Prompts come from cl_phone_agents.prompt_translations
+// and wording from answer_templates.language.
+
+export const DEFAULT_LANGUAGE = 'en'
+
+export const LANGUAGES = {
+  en: { name: 'English' },
+  yi: { name: 'Yiddish' },
+  he: { name: 'Hebrew' },
+  es: { name: 'Spanish' },
+}
+
+const ALIASES = {
+  english: 'en',
+  yiddish: 'yi',
+  hebrew: 'he',
+  iw: 'he', // legacy Hebrew code, still sent by some systems
+  spanish: 'es',
+  espanol: 'es',
+  español: 'es',
+}
+
+export function languageName(language) {
+  return LANGUAGES[language]?.name || language
+}
+
+// 'es', 'ES', 'es-MX', 'Spanish' -> 'es'; null when unsupported
+export function normalizeLanguage(value) {
+  if (typeof value !== 'string') return null
+  const lower = value.trim().toLowerCase()
+  const code = ALIASES[lower] || lower.split(/[-_]/)[0]
+  const resolved = ALIASES[code] || code
+  return LANGUAGES[resolved] ? resolved : null
+}
+
+// languageEnv('ELEVENLABS_VOICE_ID', 'yi') -> ELEVENLABS_VOICE_ID_YI || ELEVENLABS_VOICE_ID
+export function languageEnv(name, language) {
+  return languageOnlyEnv(name, language) || process.env[name]
+}
+
+// Just the language's own setting (ELEVENLABS_VOICE_ID_YI), undefined for the default language
+export function languageOnlyEnv(name, language) {
+  if (!language || language === DEFAULT_LANGUAGE) return undefined
+  return process.env[`${name}_${language.toUpperCase()}`] || undefined
+}
+
+// ---------------------------------------------------------------------------
+// Detection
+// ---------------------------------------------------------------------------
+// Whisper transcribes Yiddish and Hebrew in the same script, so those two are
+// told apart by common words and Yiddish-only spelling; Spanish vs English the
+// same way. Words that are common in both languages of a pair are left out
+// (e.g. איך: "I" in Yiddish, "how" in Hebrew).
+
+const WORDS = {
+  yi: new Set(
+    'איז און דער דאס די נישט ניט וואס ווי וואו ווען וויל ווייס האב האט מיר איר זיי ער זענען געווען קען ביטע יא גוט אויף מיט פאר צו אביסל'.split(
+      ' '
+    )
+  ),
+  he: new Set('אני אתה זה של לא מה יש אין רוצה צריך איפה מתי כן שלום תודה בבקשה אפשר לי על עם הזמנה אנחנו היום'.split(' ')),
+  es: new Set(
+    'hola buenos buenas quiero quisiera necesito donde dónde cuando cuándo gracias por favor puedo tengo el la los las de que qué para con una mi hablo español sí pedido recoger comida ayuda está es'.split(
+      ' '
+    )
+  ),
+  en: new Set(
+    'the i is to and you what where when my want need can hi hello please pickup pick order yes thanks thank of for this that'.split(' ')
+  ),
+}
+
+// Yiddish spelling: double vav/yod ligatures, rafe, pasekh/komets alef
+const YIDDISH_MARKS = /[\u05F0-\u05F2\u05BF]|\u05D0[\u05B7\u05B8]/
+const SPANISH_MARKS = /[ñ¿¡]/i
+
+function countWords(words, set) {
+  return words.filter((w) => set.has(w)).length
+}
+
+// Returns a language code, or null when the text gives no clear signal
+export function detectLanguage(text) {
+  if (typeof text !== 'string' || !text.trim()) return null
+
+  const hebrewChars = (text.match(/[\u0590-\u05FF]/g) || []).length
+  const latinChars = (text.match(/[a-zñáéíóúü]/gi) || []).length
+  const words = text
+    .toLowerCase()
+    .split(/[^\p{L}\p{M}]+/u)
+    .filter(Boolean)
+
+  if (hebrewChars > latinChars) {
+    // Niqqud is stripped for the word lists; Yiddish marks are checked first
+    const bare = words.map((w) => w.replace(/[\u0591-\u05C7]/g, ''))
+    const yi = countWords(bare, WORDS.yi) + (YIDDISH_MARKS.test(text) ? 2 : 0)
+    const he = countWords(bare, WORDS.he)
+    return yi > he ? 'yi' : 'he'
+  }
+
+  if (!latinChars) return null
+  const es = countWords(words, WORDS.es) + (SPANISH_MARKS.test(text) ? 2 : 0)
+  const en = countWords(words, WORDS.en)
+  if (es > en) return 'es'
+  return en ? 'en' : null
+}
@@ -0,0 +1,137 @@
+// metrics.js
+// In-process metrics for GET /metrics (Prometheus text format 0.0.4). No client
+// library: just counters, gauges and histograms with labels, which is all the
+// series below need. Values reset when the process restarts.
+
+const registry = []
+
+function escapeLabel(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/"/g, '\\"')
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels)
+  if (!entries.length) return ''
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}`
+}
+
+// Same labels in any order -> same series
+function seriesKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => (a < b ? -1 : 1)))
+}
+
+function metric(type, name, help, render) {
+  registry.push({ type, name, help, render })
+}
+
+export function counter(name, help) {
+  const series = new Map() // key -> { labels, value }
+  metric('counter', name, help, () =>
+    [...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+  )
+  return {
+    inc(labels = {}, n = 1) {
+      const key = seriesKey(labels)
+      if (!series.has(key)) series.set(key, { labels, value: 0 })
+      series.get(key).value += n
+    },
+  }
+}
+
+export function gauge(name, help) {
+  const series = new Map()
+  metric('gauge', name, help, () =>
+    [...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+  )
+  const entry = (labels) => {
+    const key = seriesKey(labels)
+    if (!series.has(key)) series.set(key, { labels, value: 0 })
+    return series.get(key)
+  }
+  return {
+    set(labels, value) {
+      entry(labels).value = value
+    },
+    inc(labels = {}, n = 1) {
+      entry(labels).value += n
+    },
+    dec(labels = {}, n = 1) {
+      entry(labels).value -= n
+    },
+  }
+}
+
+// `buckets` are upper bounds in seconds, ascending
+export function histogram(name, help, buckets) {
+  const series = new Map() // key -> { labels, counts[], sum, count }
+  metric('histogram', name, help, () =>
+    [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+      ...buckets.map((le, i) => `${name}_bucket${formatLabels({ ...labels, le })} ${counts[i]}`),
+      `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+      `${name}_sum${formatLabels(labels)} ${sum}`,
+      `${name}_count${formatLabels(labels)} ${count}`,
+    ])
+  )
+  return {
+    observe(labels, seconds) {
+      if (!Number.isFinite(seconds)) return
+      const key = seriesKey(labels)
+      if (!series.has(key)) series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 })
+      const s = series.get(key)
+      buckets.forEach((le, i) => {
+        if (seconds <= le) s.counts[i] += 1
+      })
+      s.sum += seconds
+      s.count += 1
+    },
+  }
+}
+
+export function renderMetrics() {
+  return (
+    registry
+      .flatMap(({ type, name, help, render }) => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...render()])
+      .join('\n') + '\n'
+  )
+}
+
+// ---------------------------------------------------------------------------
+// Gateway series
+// ---------------------------------------------------------------------------
+
+export const activeCalls = gauge('cl_active_calls', 'Twilio media streams currently connected.')
+activeCalls.set({}, 0)
+
+export const callsTotal = counter('cl_calls_total', 'Finished calls by the agent they ended on.')
+
+export const handoffsTotal = counter('cl_handoffs_total', 'Agent handoffs by source and target agent.')
+
+export const toolLatency = histogram(
+  'cl_tool_latency_seconds',
+  'Tool endpoint latency including retries, by tool, endpoint and outcome.',
+  [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 15, 30]
+)
+
+export const ttsLatency = histogram(
+  'cl_elevenlabs_synthesis_seconds',
+  'ElevenLabs latency: whole request (mode="http") or first text to first audio (mode="stream").',
+  [0.1, 0.25, 0.5, 0.75, 1, 1.5, 2, 3, 5, 10]
+)
+
+export const responseLatency = histogram(
+  'cl_response_latency_seconds',
+  'Time from the caller stopping speaking (OpenAI speech_stopped) to the first answer audio sent to Twilio.',
+  [0.25, 0.5, 0.75, 1, 1.5, 2, 3, 5, 8, 13]
+)
+
+export const authRejections = counter(
+  'cl_auth_rejections_total',
+  'Rejected Twilio/Telnyx webhooks (kind="webhook") and media streams (kind="stream") by reason.'
+)
+
+export const openaiErrors = counter('cl_openai_errors_total', 'OpenAI Realtime error events by error code.')
+
+export const outboundCalls = counter('cl_outbound_calls_total', 'Finished outbound reminder dials by outcome.')
@@ -0,0 +1,88 @@
+// orders.js
+// Order lookup for the orders agent's lookup_order tool (server.js). Orders come
+// from the agent's lookup_order endpoint (tool_endpoints, e.g.
+// "env:ORDER_LOOKUP_ENDPOINT") when one is configured, else from the cl_orders table.
+//
+// The endpoint is POSTed { order_number, phone, call_sid, language } and answers
+// { orders: [...] }; an order there and a cl_orders row have the same fields:
+//   { order_number, phone, last_name, zip, status, items, pickup_location }
+//
+// server.js tells the model nothing about an order until the caller has given its
+// last name or zip code (orderIdentityMatches); orderDetails() is what it may see.
+
+import { supabase } from './supabaseClient.js'
+
+const MAX_ORDERS = 10
+
+// Order numbers as spoken or keyed in: "A-1234 5" -> "A12345"
+export function normalizeOrderNumber(value) {
+  return String(value ?? '')
+    .replace(/[^a-z0-9]/gi, '')
+    .toUpperCase()
+}
+
+function digits(value) {
+  return String(value ?? '').replace(/\D/g, '')
+}
+
+// Letters only, so "O'Brien" / "o brien" and "Gold Berg" / "Goldberg" match
+function nameKey(value) {
+  return String(value ?? '')
+    .normalize('NFKD')
+    .replace(/[^\p{L}]/gu, '')
+    .toLowerCase()
+}
+
+function normalizeOrder(order) {
+  return {
+    orderNumber: normalizeOrderNumber(order.order_number),
+    lastName: order.last_name || '',
+    zip: order.zip || '',
+    status: order.status || null,
+    items: Array.isArray(order.items) ? order.items : [],
+    pickupLocation: order.pickup_location && typeof order.pickup_location === 'object' ? order.pickup_location : null,
+  }
+}
+
+// Endpoint output ({ orders: [...] } or { order: {...} }) -> normalized orders
+export function ordersFromOutput(output) {
+  const list = Array.isArray(output?.orders) ? output.orders : output?.order ? [output.order] : []
+  return list.filter((o) => o && typeof o === 'object' && o.order_number).map(normalizeOrder)
+}
+
+// cl_orders by order number, else by the caller's number. Throws on a query error.
+// Order numbers are compared normalized on both sides: order_number_key is the
+// stored number through normalizeOrderNumber (a generated column, see migrations).
+export async function findOrdersInTable({ orderNumber = null, phone = null }) {
+  let query = supabase
+    .from('cl_orders')
+    .select('order_number, phone, last_name, zip, status, items, pickup_location')
+    .limit(MAX_ORDERS)
+  query = orderNumber ? query.eq('order_number_key', normalizeOrderNumber(orderNumber)) : query.eq('phone', phone)
+
+  const { data, error } = await query
+  if (error) {
+    const err = new Error(error.message || 'order lookup failed')
+    err.code = 'db_error'
+    throw err
+  }
+  return (data || []).map(normalizeOrder)
+}
+
+// answer: what the caller said when asked for their last name or zip code
+export function orderIdentityMatches(order, answer) {
+  const zip = digits(order.zip).slice(0, 5)
+  if (zip.length === 5 && digits(answer).slice(0, 5) === zip) return true
+  const name = nameKey(order.lastName)
+  return !!name && nameKey(answer) === name
+}
+
+// What the model may tell a verified caller
+export function orderDetails(order) {
+  return {
+    order_number: order.orderNumber,
+    status: order.status,
+    items: order.items,
+    pickup_location: order.pickupLocation,
+  }
+}
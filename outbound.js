@@ -0,0 +1,280 @@
+// outbound.js
+// Outbound reminder calls (POST /outbound in server.js). Each recipient is dialed
+// through the Twilio REST API; when they answer, Twilio fetches /outbound/answer,
+// which connects the call to our media stream just like /voice does. The call
+// starts on the campaign's agent ("reminder" by default): it first says the
+// campaign's answer template rendered with the recipient's variables, then answers
+// follow-up questions like any other call.
+//
+// Pacing: at most OUTBOUND_MAX_CONCURRENT calls at once (default 2) and
+// OUTBOUND_CALLS_PER_MINUTE dials (default 10). No-answer and busy are dialed again
+// OUTBOUND_RETRY_DELAY_S later (default 900), up to OUTBOUND_MAX_ATTEMPTS dials in
+// all (default 3). Calls come from OUTBOUND_FROM_NUMBER and ring for
+// OUTBOUND_RING_TIMEOUT_S (default 30).
+//
+// Every recipient's progress and outcome is written to cl_outbound_recipients.
+// The queue itself lives in memory: recipients not yet dialed when the process
+// stops keep their 'queued' row and are not dialed. A campaign stays in memory
+// until OUTBOUND_RETENTION_S (default 3600) after its last recipient's final
+// status; after that GET /outbound/:campaignId reads the table instead.
+
+import crypto from 'crypto'
+import { supabase } from './supabaseClient.js'
+import { createCall, twilioConfigured } from './twilio.js'
+import { outboundCalls } from './metrics.js'
+
+// No final status from Twilio after this long: give the slot back anyway
+const STATUS_WATCHDOG_MS = 30 * 60 * 1000
+
+// Twilio CallStatus -> recipient status; the ones in RETRYABLE are dialed again
+const FINAL_STATUSES = {
+  completed: 'completed',
+  'no-answer': 'no_answer',
+  busy: 'busy',
+  failed: 'failed',
+  canceled: 'canceled',
+}
+const FINAL_STATUS_VALUES = new Set(Object.values(FINAL_STATUSES))
+const RETRYABLE = new Set(['no_answer', 'busy'])
+
+const recipients = new Map() // id -> recipient
+const campaigns = new Map() // campaign id -> its recipients, in request order
+const queue = [] // recipients waiting for a dial, in order
+let callsInProgress = 0
+let lastDialAt = 0
+let pumpTimer = null
+let paused = false
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name])
+  return Number.isFinite(n) && process.env[name] !== '' ? n : fallback
+}
+
+export function outboundConfigured() {
+  return twilioConfigured() && !!process.env.OUTBOUND_FROM_NUMBER
+}
+
+// ---------------------------------------------------------------------------
+// Outcome records
+// ---------------------------------------------------------------------------
+
+function recipientRow(r) {
+  return {
+    id: r.id,
+    campaign_id: r.campaignId,
+    to_number: r.to,
+    variables: r.variables,
+    language: r.language,
+    agent_key: r.agent,
+    template_key: r.template,
+    status: r.status,
+    attempts: r.attempts,
+    last_call_sid: r.callSid,
+    last_error: r.error,
+    created_at: r.createdAt,
+    updated_at: new Date().toISOString(),
+  }
+}
+
+// Best effort: the dialing goes on if a write fails
+async function saveRecipients(list) {
+  try {
+    const { error } = await supabase.from('cl_outbound_recipients').upsert(list.map(recipientRow), { onConflict: 'id' })
+    if (error) console.error('[Outbound] Failed to write recipients:', error.message || error)
+  } catch (e) {
+    console.error('[Outbound] Unexpected error writing recipients:', e)
+  }
+}
+
+function setStatus(r, status, fields = {}) {
+  Object.assign(r, { status, ...fields })
+  saveRecipients([r])
+}
+
+// ---------------------------------------------------------------------------
+// Dialing
+// ---------------------------------------------------------------------------
+
+function schedulePump(ms) {
+  if (pumpTimer) return
+  pumpTimer = setTimeout(() => {
+    pumpTimer = null
+    pump()
+  }, ms)
+  pumpTimer.unref()
+}
+
+function pump() {
+  if (paused) return
+  const maxConcurrent = Math.max(1, envNumber('OUTBOUND_MAX_CONCURRENT', 2))
+  const dialIntervalMs = 60000 / Math.max(1, envNumber('OUTBOUND_CALLS_PER_MINUTE', 10))
+
+  while (callsInProgress < maxConcurrent) {
+    const now = Date.now()
+    const index = queue.findIndex((r) => r.notBefore <= now)
+    if (index < 0) {
+      const next = Math.min(...queue.map((r) => r.notBefore))
+      if (Number.isFinite(next)) schedulePump(next - now)
+      return
+    }
+    if (now - lastDialAt < dialIntervalMs) {
+      schedulePump(lastDialAt + dialIntervalMs - now)
+      return
+    }
+
+    const [r] = queue.splice(index, 1)
+    lastDialAt = now
+    callsInProgress += 1
+    dial(r)
+  }
+}
+
+async function dial(r) {
+  r.attempts += 1
+  console.log('[Outbound] Dialing', r.to, `(recipient ${r.id}, attempt ${r.attempts})`)
+  try {
+    const call = await createCall({
+      To: r.to,
+      From: process.env.OUTBOUND_FROM_NUMBER,
+      Url: `${r.callbackBase}/outbound/answer?recipient=${r.id}`,
+      StatusCallback: `${r.callbackBase}/outbound/status?recipient=${r.id}`,
+      Timeout: String(envNumber('OUTBOUND_RING_TIMEOUT_S', 30)),
+    })
+    setStatus(r, 'dialing', { callSid: call.sid, error: null })
+    r.watchdog = setTimeout(() => finishCall(r, 'failed', 'no final status from Twilio'), STATUS_WATCHDOG_MS)
+    r.watchdog.unref()
+  } catch (e) {
+    const error = e?.response?.data?.message || e?.message || String(e)
+    console.error('[Outbound] Dial failed for', r.to, ':', error)
+    finishCall(r, 'failed', error)
+  }
+}
+
+// A dial is over: free its slot, then retry or record the outcome
+function finishCall(r, status, error = null) {
+  clearTimeout(r.watchdog)
+  callsInProgress -= 1
+  outboundCalls.inc({ outcome: status })
+
+  const maxAttempts = Math.max(1, envNumber('OUTBOUND_MAX_ATTEMPTS', 3))
+  if (RETRYABLE.has(status) && r.attempts < maxAttempts && !paused) {
+    const delayMs = envNumber('OUTBOUND_RETRY_DELAY_S', 900) * 1000
+    console.log('[Outbound]', r.to, status, `- retrying in ${delayMs / 1000}s`)
+    setStatus(r, 'queued', { error: status })
+    r.notBefore = Date.now() + delayMs
+    queue.push(r)
+  } else {
+    console.log('[Outbound]', r.to, 'finished:', status)
+    setStatus(r, status, { error })
+    forgetWhenFinished(r.campaignId)
+  }
+  pump()
+}
+
+// Once every recipient of a campaign has its outcome, drop the campaign after
+// the retention window; its rows stay in cl_outbound_recipients
+function forgetWhenFinished(campaignId) {
+  const list = campaigns.get(campaignId)
+  if (!list || list.some((r) => !FINAL_STATUS_VALUES.has(r.status))) return
+  const timer = setTimeout(() => {
+    for (const r of list) recipients.delete(r.id)
+    campaigns.delete(campaignId)
+  }, envNumber('OUTBOUND_RETENTION_S', 3600) * 1000)
+  timer.unref()
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+// request: { recipients: [{ to, variables, language }], agent, template, language }
+// (already validated by server.js). callbackBase: our public base URL for Twilio.
+export function createOutboundCampaign(request, callbackBase) {
+  const campaignId = crypto.randomUUID()
+  const createdAt = new Date().toISOString()
+  const list = request.recipients.map((recipient) => ({
+    id: crypto.randomUUID(),
+    campaignId,
+    to: recipient.to,
+    variables: recipient.variables || {},
+    language: recipient.language || request.language,
+    agent: request.agent,
+    template: request.template,
+    status: 'queued',
+    attempts: 0,
+    callSid: null,
+    error: null,
+    createdAt,
+    notBefore: 0,
+    watchdog: null,
+    callbackBase,
+  }))
+
+  for (const r of list) recipients.set(r.id, r)
+  campaigns.set(campaignId, list)
+  saveRecipients(list).then(() => {
+    queue.push(...list)
+    pump()
+  })
+
+  console.log('[Outbound] Campaign', campaignId, 'queued', list.length, 'recipient(s)')
+  return { campaignId, recipients: list.map(recipientSummary) }
+}
+
+function recipientSummary(r) {
+  return { id: r.id, to: r.to, status: r.status, attempts: r.attempts, callSid: r.callSid, error: r.error }
+}
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+// From memory, or from cl_outbound_recipients once the campaign has been dropped
+// there; null when there is no such campaign
+export async function getOutboundCampaign(campaignId) {
+  const list = campaigns.get(campaignId)
+  if (list) return { campaignId, recipients: list.map(recipientSummary) }
+  if (!UUID.test(campaignId)) return null
+
+  const { data, error } = await supabase
+    .from('cl_outbound_recipients')
+    .select('id, to_number, status, attempts, last_call_sid, last_error')
+    .eq('campaign_id', campaignId)
+    .order('created_at', { ascending: true })
+  if (error) throw new Error(error.message || String(error))
+  if (!data?.length) return null
+  return {
+    campaignId,
+    recipients: data.map((row) => ({
+      id: row.id,
+      to: row.to_number,
+      status: row.status,
+      attempts: row.attempts,
+      callSid: row.last_call_sid,
+      error: row.last_error,
+    })),
+  }
+}
+
+export function getOutboundRecipient(id) {
+  return recipients.get(id) || null
+}
+
+// /outbound/answer: the recipient picked up
+export function outboundAnswered(id, callSid) {
+  const r = recipients.get(id)
+  if (r) setStatus(r, 'answered', { callSid })
+}
+
+// /outbound/status: Twilio's final CallStatus for a dial
+export function outboundCallStatus(id, { CallSid, CallStatus }) {
+  const r = recipients.get(id)
+  const status = FINAL_STATUSES[CallStatus]
+  if (!r || !status || !['dialing', 'answered'].includes(r.status) || (r.callSid && CallSid !== r.callSid)) return
+  finishCall(r, status, status === 'completed' ? null : CallStatus)
+}
+
+// Shutdown: dial nobody else
+export function pauseOutbound() {
+  paused = true
+  clearTimeout(pumpTimer)
+  pumpTimer = null
+}
@@ -0,0 +1,34 @@
+// pronunciation.js
+// Per-agent pronunciation lexicons (cl_phone_agents.pronunciations): words and
+// phrases ElevenLabs gets wrong, e.g. Hebrew item names or brands, mapped to a
+// spelling it says right:
+//   { "hechsher": "hekh-sher", "Osem": "Oh-sem", "Rav Shlomo": "Rahv Shlo-moh" }
+// Matching is whole-word and case-insensitive; longer entries win over shorter
+// ones they contain. Only what is synthesized changes, never the transcript.
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+// jsonb object -> { pattern, spoken } for applyLexicon, or null when empty
+export function compileLexicon(entries) {
+  if (!entries || typeof entries !== 'object' || Array.isArray(entries)) return null
+  const spoken = new Map()
+  for (const [word, replacement] of Object.entries(entries)) {
+    const key = word.trim().toLowerCase().replace(/\s+/g, ' ')
+    if (key && typeof replacement === 'string' && replacement.trim()) spoken.set(key, replacement.trim())
+  }
+  if (!spoken.size) return null
+
+  const alternatives = [...spoken.keys()]
+    .sort((a, b) => b.length - a.length)
+    .map((key) => escapeRegExp(key).replace(/\s+/g, '\\s+'))
+  // Letters/digits of any script count as part of a word (Hebrew included)
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}])`, 'giu')
+  return { pattern, spoken }
+}
+
+export function applyLexicon(text, lexicon) {
+  if (!lexicon || !text) return text
+  return text.replace(lexicon.pattern, (match) => lexicon.spoken.get(match.toLowerCase().replace(/\s+/g, ' ')) ?? match)
+}
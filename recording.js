@@ -0,0 +1,231 @@
+// recording.js
+// Optional dual-channel call recordings: what the caller said on the left, what
+// the bot played (greeting + ElevenLabs) on the right, as a 16-bit 8 kHz stereo
+// WAV in Supabase Storage (RECORDING_BUCKET, default "call-recordings") at
+// <yyyy-mm-dd>/<callSid>.wav, with a cl_phone_recordings row per upload.
+//
+// Whether a call is recorded: RECORDING_ENABLED ('false' by default), unless a
+// cl_recording_rules row matches the caller's number ("caller") or the number
+// they dialed ("called") by prefix. The longest matching prefix wins and, between
+// equally long ones, a rule that says not to record.
+//
+// Recordings older than RECORDING_RETENTION_DAYS (default 30; 0 keeps them
+// forever) are deleted by purgeExpiredRecordings().
+
+import { supabase } from './supabaseClient.js'
+import { logRecording } from './callLog.js'
+import { ULAW_TO_LINEAR } from './audioCodec.js'
+
+const SAMPLES_PER_MS = 8 // 8 kHz µ-law: one byte per sample
+const MAX_RECORDING_SAMPLES = 2 * 60 * 60 * 8000 // two hours; later audio is dropped
+const PURGE_BATCH = 500
+
+let RULES = [] // [{ prefix, appliesTo, record }]
+
+// Uploads still running, so shutdown can wait for them
+const uploads = new Set()
+
+function bucket() {
+  return process.env.RECORDING_BUCKET || 'call-recordings'
+}
+
+function retentionDays() {
+  const days = Number(process.env.RECORDING_RETENTION_DAYS ?? 30)
+  return Number.isFinite(days) && days > 0 ? days : 0
+}
+
+function normalizeNumber(number) {
+  return String(number || '').replace(/[^\d+]/g, '')
+}
+
+// ---------------------------------------------------------------------------
+// Consent rules
+// ---------------------------------------------------------------------------
+
+export async function reloadRecordingRules() {
+  try {
+    const { data, error } = await supabase
+      .from('cl_recording_rules')
+      .select('number_prefix, applies_to, record')
+      .eq('is_active', true)
+
+    if (error) {
+      // Keep the previous rules
+      console.error('[Recording] Error loading rules:', error)
+      return
+    }
+
+    RULES = (data || []).map((row) => ({
+      prefix: normalizeNumber(row.number_prefix),
+      appliesTo: row.applies_to === 'called' ? 'called' : 'caller',
+      record: !!row.record,
+    }))
+    console.log('[Recording] Reloaded rules:', RULES.length)
+  } catch (e) {
+    console.error('[Recording] Unexpected error reloading rules:', e)
+  }
+}
+
+// from / to: the call's numbers as Twilio sent them to /voice
+export function shouldRecord({ from, to } = {}) {
+  const numbers = { caller: normalizeNumber(from), called: normalizeNumber(to) }
+  let best = null
+  for (const rule of RULES) {
+    const number = numbers[rule.appliesTo]
+    if (!number || !number.startsWith(rule.prefix)) continue
+    if (
+      !best ||
+      rule.prefix.length > best.prefix.length ||
+      (rule.prefix.length === best.prefix.length && !rule.record)
+    ) {
+      best = rule
+    }
+  }
+  return best ? best.record : process.env.RECORDING_ENABLED === 'true'
+}
+
+// ---------------------------------------------------------------------------
+// Recorder
+// ---------------------------------------------------------------------------
+
+function stereoWav(left, right, samples) {
+  const dataBytes = samples * 4
+  const wav = Buffer.alloc(44 + dataBytes) // zeroes are silence
+  wav.write('RIFF', 0, 'ascii')
+  wav.writeUInt32LE(36 + dataBytes, 4)
+  wav.write('WAVE', 8, 'ascii')
+  wav.write('fmt ', 12, 'ascii')
+  wav.writeUInt32LE(16, 16)
+  wav.writeUInt16LE(1, 20) // PCM
+  wav.writeUInt16LE(2, 22) // channels
+  wav.writeUInt32LE(8000, 24)
+  wav.writeUInt32LE(8000 * 4, 28) // byte rate
+  wav.writeUInt16LE(4, 32) // block align
+  wav.writeUInt16LE(16, 34)
+  wav.write('data', 36, 'ascii')
+  wav.writeUInt32LE(dataBytes, 40)
+
+  for (const [channel, chunks] of [left, right].entries()) {
+    for (const { at, audio } of chunks) {
+      for (let i = 0; i < audio.length; i++) {
+        wav.writeInt16LE(ULAW_TO_LINEAR[audio[i]], 44 + (at + i) * 4 + channel * 2)
+      }
+    }
+  }
+  return wav
+}
+
+// Collects both directions of one call; finish() uploads once, at call end
+export function createCallRecorder(callSid) {
+  const startedAt = Date.now()
+  const tracks = { caller: { chunks: [], end: 0 }, bot: { chunks: [], end: 0 } } // end: in samples
+  let finished = null
+
+  // A chunk never overlaps the one before it: late audio is placed right after it
+  function add(track, b64, atMs) {
+    if (finished) return
+    const audio = Buffer.from(b64 || '', 'base64')
+    const at = Math.max(Math.round(atMs * SAMPLES_PER_MS), track.end)
+    if (!audio.length || at + audio.length > MAX_RECORDING_SAMPLES) return
+    track.chunks.push({ at, audio })
+    track.end = at + audio.length
+  }
+
+  async function upload() {
+    const samples = Math.max(tracks.caller.end, tracks.bot.end)
+    if (!samples) return null
+
+    const wav = stereoWav(tracks.caller.chunks, tracks.bot.chunks, samples)
+    const storagePath = `${new Date(startedAt).toISOString().slice(0, 10)}/${callSid}.wav`
+    const { error } = await supabase.storage
+      .from(bucket())
+      .upload(storagePath, wav, { contentType: 'audio/wav', upsert: true })
+    if (error) {
+      console.error('[Recording] Upload failed for', callSid, ':', error.message || error)
+      return null
+    }
+
+    const durationSeconds = Math.round(samples / 8000)
+    logRecording(callSid, { bucket: bucket(), storagePath, durationSeconds })
+    console.log('[Recording] Uploaded', storagePath, `(${durationSeconds}s)`)
+    return { storagePath, durationSeconds }
+  }
+
+  return {
+    // Twilio's media.timestamp is ms since the stream started
+    addInbound(b64, timestampMs) {
+      add(tracks.caller, b64, timestampMs == null ? Date.now() - startedAt : Number(timestampMs) || 0)
+    },
+
+    addOutbound(b64) {
+      add(tracks.bot, b64, Date.now() - startedAt)
+    },
+
+    finish() {
+      if (!finished) {
+        finished = upload().catch((e) => {
+          console.error('[Recording] Unexpected error for', callSid, ':', e)
+          return null
+        })
+        uploads.add(finished)
+        finished.finally(() => uploads.delete(finished))
+      }
+      return finished
+    },
+  }
+}
+
+export function waitForRecordings() {
+  return Promise.allSettled([...uploads])
+}
+
+// ---------------------------------------------------------------------------
+// Retention
+// ---------------------------------------------------------------------------
+
+// Deletes recordings past RECORDING_RETENTION_DAYS, a batch at a time. Never throws.
+export async function purgeExpiredRecordings() {
+  const days = retentionDays()
+  if (!days) return
+
+  try {
+    const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString()
+    const { data, error } = await supabase
+      .from('cl_phone_recordings')
+      .select('id, bucket, storage_path')
+      .lt('created_at', cutoff)
+      .is('deleted_at', null)
+      .limit(PURGE_BATCH)
+
+    if (error) {
+      console.warn('[Recording] Could not list expired recordings:', error.message || error)
+      return
+    }
+    if (!data?.length) return
+
+    const byBucket = new Map()
+    for (const row of data) {
+      if (!byBucket.has(row.bucket)) byBucket.set(row.bucket, [])
+      byBucket.get(row.bucket).push(row)
+    }
+
+    for (const [name, rows] of byBucket) {
+      const { error: removeError } = await supabase.storage.from(name).remove(rows.map((r) => r.storage_path))
+      if (removeError) {
+        console.warn('[Recording] Could not delete from', name, ':', removeError.message || removeError)
+        continue
+      }
+      const { error: updateError } = await supabase
+        .from('cl_phone_recordings')
+        .update({ deleted_at: new Date().toISOString() })
+        .in(
+          'id',
+          rows.map((r) => r.id)
+        )
+      if (updateError) console.warn('[Recording] Could not mark recordings deleted:', updateError.message || updateError)
+      console.log(`[Recording] Deleted ${rows.length} recording(s) older than ${days} days from ${name}`)
+    }
+  } catch (e) {
+    console.error('[Recording] Unexpected error purging recordings:', e)
+  }
+}
@@ -1,16 +1,133 @@
 // server.js (FULL REWRITE)
 // Twilio Media Streams <-> OpenAI Realtime (text+tools) + ElevenLabs (TTS)
+// TTS streams sentence-by-sentence while OpenAI is still generating (ELEVENLABS_TTS_MODE=buffered to disable).
 // Plays a static pre-recorded greeting.ulaw immediately on Twilio WS start.
 // Prevents "conversation_already_has_active_response" by queuing response.create.
 // Only generates answers after OpenAI VAD says the caller stopped speaking.
+// Barge-in: caller speech (OpenAI VAD speech_started) stops greeting/TTS playback.
+// Agents (prompts, tools, endpoints, handoffs) are data in cl_phone_agents, per AGENT_ENV, with versioned
+// prompts and weighted A/B variants recorded per call; see agentRegistry.js.
+// POST /voice answers Twilio with <Connect><Stream> and a one-time token; streams without one are dropped.
+// GET /healthz, /readyz and /metrics (Prometheus, see metrics.js) for Render and dashboards.
+// Callers can speak English, Yiddish, Hebrew or Spanish; see languages.js.
+// Approved wording (answer_templates) is cached in answers.js and spoken verbatim by the speak_template tool.
+// Buffered TTS goes through ttsCache.js; static templates are pre-synthesized on startup and /refresh-prompts.
+// SIGTERM drains active calls (callRegistry.js) before exiting, so deploys don't cut callers off.
+// Optional dual-channel recordings to Supabase Storage with consent rules and retention; see recording.js.
+// Admin API (Bearer ADMIN_API_SECRET): list live calls, follow one over SSE, force a handoff, speak, hang up.
+// Calls also arrive over Telnyx (POST /telnyx/voice) or from a browser (GET /browser-call); see transports.js.
 
 import dotenv from 'dotenv'
 import http from 'http'
 import WebSocket, { WebSocketServer } from 'ws'
 import { supabase } from './supabaseClient.js'
 import { parse as parseUrl } from 'url'
-import axios from 'axios'
 import fs from 'fs'
+import { toFramesB64 } from './elevenlabs.js'
+import { cachedSynthesize, createTtsCacheStats, openCachedTtsStream, prewarmTtsCache } from './ttsCache.js'
+import {
+  flushCallLog,
+  logCallAgent,
+  logCallEnded,
+  logCallLanguage,
+  logCallPrompt,
+  logCallStarted,
+  logToolCall,
+  logTransfer,
+  logTurn,
+  logSms,
+  logVoicemail,
+} from './callLog.js'
+import {
+  HANDOFF_TOOL_PREFIX,
+  agentEnv,
+  agentHasTool,
+  agentPrompt,
+  choosePromptVariant,
+  defaultAgentSettings,
+  findRoutingTool,
+  getAgent,
+  getEntryAgent,
+  getToolOptions,
+  listAgents,
+  reloadAgentRegistry,
+  resolveToolEndpoint,
+} from './agentRegistry.js'
+import { dialStatusTwiml, executeTransfer, planTransfer, voicemailDoneTwiml } from './transfer.js'
+import {
+  hangupCall,
+  publicUrl,
+  sendSms,
+  streamTwiml,
+  twiml,
+  twilioConfigured,
+  validateTwilioSignature,
+} from './twilio.js'
+import { issueStreamToken, streamAuthConfigured, verifyStreamToken } from './streamAuth.js'
+import { callToolEndpoint } from './toolClient.js'
+import { callerInstructions, callerPayload, lookupCaller, summarizeCall } from './callerContext.js'
+import { toUlaw } from './audioCodec.js'
+import { hasScheduledGreetings, reloadGreetings, scheduledGreeting } from './greetings.js'
+import { createTransport } from './transports.js'
+import { checkTelnyxSignatureHeaders, telnyxStreamTexml, validateTelnyxSignature } from './telnyx.js'
+import {
+  findOrdersInTable,
+  normalizeOrderNumber,
+  orderDetails,
+  orderIdentityMatches,
+  ordersFromOutput,
+} from './orders.js'
+import {
+  activeCallCount,
+  getCall,
+  listCalls,
+  publishCallEvent,
+  registerCall,
+  subscribeCallEvents,
+  unregisterCall,
+  waitForNoCalls,
+} from './callRegistry.js'
+import {
+  createCallRecorder,
+  purgeExpiredRecordings,
+  reloadRecordingRules,
+  shouldRecord,
+  waitForRecordings,
+} from './recording.js'
+import {
+  createOutboundCampaign,
+  getOutboundCampaign,
+  getOutboundRecipient,
+  outboundAnswered,
+  outboundCallStatus,
+  outboundConfigured,
+  pauseOutbound,
+} from './outbound.js'
+import {
+  hasAnswerTemplate,
+  listStaticAnswerTexts,
+  reloadAnswerTemplates,
+  renderTemplate,
+  speakAnswer,
+} from './answers.js'
+import {
+  activeCalls,
+  authRejections,
+  callsTotal,
+  handoffsTotal,
+  openaiErrors,
+  renderMetrics,
+  responseLatency,
+  toolLatency,
+} from './metrics.js'
+import {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  detectLanguage,
+  languageName,
+  languageOnlyEnv,
+  normalizeLanguage,
+} from './languages.js'
 
 dotenv.config()
 
@@ -18,12 +135,36 @@ const {
   OPENAI_API_KEY,
   PORT = 8080,
   PROMPT_REFRESH_SECRET,
-  ROUTER_ENDPOINT,
-  ITEM_SEARCH_ENDPOINT,
-  PICKUP_ENDPOINT,
+  ADMIN_API_SECRET, // Bearer secret for GET /calls and the call actions below it
+  OUTBOUND_API_SECRET, // Bearer secret for POST /outbound; falls back to ADMIN_API_SECRET
+  OUTBOUND_AGENT = 'reminder', // agent outbound calls start on unless the request names one
+  OUTBOUND_TEMPLATE = 'pickup_reminder', // answer template they open with unless the request names one
+  SMS_FROM_NUMBER, // send_sms sender; defaults to the number the caller dialed
+  PICKUP_SMS_TEMPLATE = 'Chasdei Lev pickup: {{location.name}}, {{location.address}}.{{#if location.hours}} Hours: {{location.hours}}.{{/if}}{{#if location.map_url}} Map: {{location.map_url}}{{/if}}', // when answer_templates has no pickup_sms
   ELEVENLABS_API_KEY,
   ELEVENLABS_VOICE_ID,
   ELEVENLABS_MODEL_ID,
+  ELEVENLABS_TTS_MODE = 'stream', // 'stream' | 'buffered'
+  OPENAI_REALTIME_URL = 'wss://api.openai.com/v1/realtime?model=gpt-4o-realtime-preview',
+  GREETING_FILE = './greeting.ulaw',
+  DTMF_MENU = '0=transfer,1=items,2=pickup,3=orders,7=lang:yi,8=lang:he,9=lang:es', // digit=agent key, transfer, or lang:<code>
+  TOOL_UNAVAILABLE_MESSAGE = "I'm sorry, I'm having trouble looking that up right now. Please try again in a few minutes.",
+  TRANSFER_HOLD_MESSAGE = 'Please hold while I connect you to our office.',
+  TRANSFER_VOICEMAIL_MESSAGE = "Nobody from our office can take your call right now, so I'll connect you to our voicemail.",
+  SILENCE_REPROMPT_MESSAGE = 'Are you still there?',
+  SILENCE_GOODBYE_MESSAGE = "It seems you've stepped away. Please call us back anytime. Goodbye!",
+  MAX_DURATION_MESSAGE = "I'm sorry, we've reached the time limit for this call. Please call us back if you need more help. Goodbye!",
+  MAX_CALL_DURATION_S = '1200', // 0 disables
+  SHUTDOWN_MESSAGE = "I'm sorry, we have to end this call now. Please call us back in a minute. Goodbye!",
+  SHUTDOWN_DRAIN_S = '25', // how long active calls may keep going after SIGTERM
+  SHUTDOWN_GOODBYE = 'true', // say SHUTDOWN_MESSAGE to calls still up after the drain ('false' just drops them)
+  ADMIN_HANGUP_MESSAGE = 'Thank you for calling. Goodbye!',
+  GREETING_BARGE_IN_AFTER_MS = '0', // when the entry agent has no barge_in_after_ms
+  TTS_PREWARM = 'true', // synthesize static answer_templates into the TTS cache on startup/refresh
+  TWILIO_VALIDATE_SIGNATURE = 'true', // check X-Twilio-Signature on webhooks ('false' for local testing only)
+  STREAM_AUTH_REQUIRED = 'true', // require the /voice token on media streams ('false' for local testing only)
+  STREAM_URL, // wss:// URL Twilio should stream to; default derived from PUBLIC_BASE_URL / Host
+  TELNYX_VALIDATE_SIGNATURE = 'true', // check Telnyx's Ed25519 signature on /telnyx/voice ('false' for local testing only)
 } = process.env
 
 // ---------------------------------------------------------------------------
@@ -40,91 +181,626 @@ if (!ELEVENLABS_API_KEY || !ELEVENLABS_VOICE_ID) {
 }
 
 // ---------------------------------------------------------------------------
-// 1. LOAD STATIC GREETING AUDIO (RAW µ-law 8kHz, NO WAV HEADER)
+// 1. LOAD STATIC GREETING AUDIO (FALLBACK WHEN NO SCHEDULED GREETING MATCHES)
 // ---------------------------------------------------------------------------
-// IMPORTANT:
-// - This MUST be raw G.711 µ-law at 8000 Hz, mono (NOT mp3, NOT m4a, NOT wav header).
+// - A 16-bit PCM WAV (any sample rate, mono or stereo) is converted to 8 kHz
+//   µ-law on load (audioCodec.js); any other file must be raw G.711 µ-law at
+//   8000 Hz, mono (NOT mp3, NOT m4a).
 // - Put it in your repo so Render deploy includes it.
 // - Recommended file name: ./greeting.ulaw
 //
 // Convert from m4a (iPhone Voice Memo) like:
 //   ffmpeg -i greeting.m4a -ar 8000 -ac 1 -f mulaw -acodec pcm_mulaw greeting.ulaw
 //
+// Scheduled greetings (time of day, weekday, closure dates) live in Supabase,
+// see greetings.js; they win over these files whenever one matches.
 
-let GREETING_AUDIO = null
-let GREETING_FRAMES_B64 = null
-try {
-  GREETING_AUDIO = fs.readFileSync('./greeting.ulaw')
-  console.log('[Greeting] Loaded greeting.ulaw, bytes=', GREETING_AUDIO.length)
+// Other languages: GREETING_FILE_<LANG> (e.g. GREETING_FILE_YI=./greeting-yi.ulaw).
 
-  const FRAME_SIZE = 160 // 20 ms @ 8kHz µ-law
-  GREETING_FRAMES_B64 = []
-  for (let i = 0; i < GREETING_AUDIO.length; i += FRAME_SIZE) {
-    GREETING_FRAMES_B64.push(GREETING_AUDIO.subarray(i, i + FRAME_SIZE).toString('base64'))
+function loadGreeting(file) {
+  try {
+    const audio = toUlaw(fs.readFileSync(file))
+    console.log(`[Greeting] Loaded ${file}, bytes=`, audio.length)
+    return toFramesB64(audio)
+  } catch (e) {
+    console.error(`[Greeting] Failed to load ${file}:`, e.message)
+    return null
+  }
+}
+
+// language -> base64 frames
+const GREETING_FRAMES_B64 = { [DEFAULT_LANGUAGE]: loadGreeting(GREETING_FILE) }
+for (const language of Object.keys(LANGUAGES)) {
+  const file = language !== DEFAULT_LANGUAGE && process.env[`GREETING_FILE_${language.toUpperCase()}`]
+  if (file) GREETING_FRAMES_B64[language] = loadGreeting(file)
+}
+
+// { name, frames }: the greeting scheduled for now, else the language's file
+function greetingFor(language) {
+  const scheduled = scheduledGreeting(language)
+  if (scheduled) return scheduled
+  const frames = GREETING_FRAMES_B64[language]
+  return frames?.length ? { name: 'default', frames } : null
+}
+
+// Defaults; an agent's voice_settings override them key by key
+const ELEVENLABS_VOICE_SETTINGS = {
+  stability: 0.8,
+  similarity_boost: 0.0,
+  style: 0.25,
+  speed: 0.95,
+}
+
+// Voice and model: a non-default language's own (ELEVENLABS_VOICE_ID_<LANG> etc., see
+// languages.js), else the speaking agent's (cl_phone_agents voice_id / voice_model_id),
+// else the defaults; plus the agent's voice_settings and pronunciation lexicon
+function elevenLabsOptions(language = DEFAULT_LANGUAGE, agent = null) {
+  return {
+    apiKey: ELEVENLABS_API_KEY,
+    voiceId: languageOnlyEnv('ELEVENLABS_VOICE_ID', language) || agent?.voiceId || ELEVENLABS_VOICE_ID,
+    modelId:
+      languageOnlyEnv('ELEVENLABS_MODEL_ID', language) || agent?.voiceModelId || ELEVENLABS_MODEL_ID || 'eleven_turbo_v2_5',
+    voiceSettings: agent?.voiceSettings ? { ...ELEVENLABS_VOICE_SETTINGS, ...agent.voiceSettings } : ELEVENLABS_VOICE_SETTINGS,
+    lexicon: agent?.lexicon || null,
+  }
+}
+
+// Request bodies over this size are refused (413) and the connection dropped
+const MAX_BODY_BYTES = 1024 * 1024
+// Twilio and Telnyx webhooks are a few form fields
+const MAX_WEBHOOK_BODY_BYTES = 64 * 1024
+
+// A media stream must send its start event (with the /voice token) this soon
+const STREAM_START_TIMEOUT_MS = 10000
+
+// How often caller silence is checked against the agent's silence timeout
+const SILENCE_CHECK_INTERVAL_MS = 250
+
+// How long the shutdown goodbyes may take before the remaining calls are dropped
+const SHUTDOWN_GOODBYE_TIMEOUT_MS = 10000
+
+// Admin API: turns shown per call in GET /calls, and the SSE keep-alive interval
+const ADMIN_TRANSCRIPT_TURNS = 6
+const SSE_HEARTBEAT_MS = 15000
+
+// POST /outbound: recipients per request, and the number format Twilio dials
+const OUTBOUND_MAX_RECIPIENTS = 500
+const E164_NUMBER = /^\+[1-9]\d{7,14}$/
+
+// send_sms: different texts per call at most
+const MAX_SMS_PER_CALL = 3
+
+// lookup_order: wrong last names / zip codes per call before it stops answering
+const MAX_ORDER_VERIFY_ATTEMPTS = 3
+
+// Recording retention runs on startup and then this often
+const RECORDING_PURGE_INTERVAL_MS = 6 * 60 * 60 * 1000
+
+// Keypad menu: "0=transfer,1=items" -> { '0': 'transfer', '1': 'items' }
+const DTMF_MENU_MAP = Object.fromEntries(
+  DTMF_MENU.split(',')
+    .map((entry) => entry.split('=').map((x) => x.trim()))
+    .filter(([digit, action]) => digit && action)
+)
+
+// ---------------------------------------------------------------------------
+// 2. AGENT REGISTRY + ANSWER TEMPLATES (cl_phone_agents / answer_templates)
+// ---------------------------------------------------------------------------
+
+async function reloadConfig() {
+  await Promise.all([reloadAgentRegistry(), reloadAnswerTemplates(), reloadRecordingRules(), reloadGreetings()])
+
+  // In the background: calls can start while the cache fills
+  if (TTS_PREWARM !== 'false') {
+    const byLanguage = {
+      [DEFAULT_LANGUAGE]: [
+        TOOL_UNAVAILABLE_MESSAGE,
+        TRANSFER_HOLD_MESSAGE,
+        TRANSFER_VOICEMAIL_MESSAGE,
+        SILENCE_REPROMPT_MESSAGE,
+        SILENCE_GOODBYE_MESSAGE,
+        MAX_DURATION_MESSAGE,
+        SHUTDOWN_MESSAGE,
+        ADMIN_HANGUP_MESSAGE,
+      ],
+    }
+    for (const { text, language } of listStaticAnswerTexts()) {
+      ;(byLanguage[language] ||= []).push(text)
+    }
+    // Once per distinct voice: agents with their own voice or lexicon get their own copies
+    ;(async () => {
+      for (const [language, texts] of Object.entries(byLanguage)) {
+        const voices = new Set()
+        for (const agent of [null, ...listAgents()]) {
+          const options = elevenLabsOptions(language, agent)
+          const voice = JSON.stringify([options.voiceId, options.modelId, options.voiceSettings, [...(options.lexicon?.spoken || [])]])
+          if (voices.has(voice)) continue
+          voices.add(voice)
+          await prewarmTtsCache(texts, options)
+        }
+      }
+    })().catch((e) => console.error('[TTSCache] Pre-warm error:', e))
   }
-} catch (e) {
-  console.error('[Greeting] Failed to load ./greeting.ulaw:', e.message)
 }
 
+await reloadConfig()
+
+purgeExpiredRecordings()
+setInterval(purgeExpiredRecordings, RECORDING_PURGE_INTERVAL_MS).unref()
+
 // ---------------------------------------------------------------------------
-// 2. PROMPT CACHE
+// 3. HTTP SERVER
 // ---------------------------------------------------------------------------
 
-const PROMPTS = { router: '', items: '', pickup: '' }
+// Rejects with an Error whose `status` is the answer to give: 400 when the client
+// goes away mid-body, 413 past `limit` bytes (the rest isn't read)
+function readBody(req, limit = MAX_BODY_BYTES) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    let size = 0
+    let settled = false
+    const fail = (status, message) => {
+      if (settled) return
+      settled = true
+      reject(Object.assign(new Error(message), { status }))
+    }
+
+    req.on('data', (c) => {
+      if (settled) return
+      size += c.length
+      if (size > limit) {
+        req.pause()
+        return fail(413, `body over ${limit} bytes`)
+      }
+      chunks.push(c)
+    })
+    req.on('end', () => {
+      if (settled) return
+      settled = true
+      resolve(Buffer.concat(chunks).toString('utf8'))
+    })
+    req.on('error', (e) => fail(400, `request ${e?.message || 'failed'}`))
+    req.on('close', () => {
+      if (!req.complete) fail(400, 'request aborted')
+    })
+  })
+}
+
+function sendTwiml(res, xml) {
+  res.writeHead(200, { 'Content-Type': 'text/xml' })
+  res.end(xml)
+}
+
+function sendJson(res, status, obj) {
+  res.writeHead(status, { 'Content-Type': 'application/json' })
+  res.end(JSON.stringify(obj))
+}
+
+// A percent-decoded path segment, or null when the encoding is malformed (e.g. "%E0%A4%A")
+function decodePathSegment(segment) {
+  try {
+    return decodeURIComponent(segment)
+  } catch {
+    return null
+  }
+}
+
+function hasBearer(req, secret) {
+  return !!secret && (req.headers['authorization'] || '') === `Bearer ${secret}`
+}
 
-async function reloadPromptsFromDB() {
+async function supabaseReachable() {
   try {
-    const { data, error } = await supabase
+    const { error } = await supabase
       .from('cl_phone_agents')
-      .select('slug, system_prompt')
-      .in('slug', ['router-dev', 'item-dev', 'locations-dev'])
+      .select('agent_key')
+      .limit(1)
+      .abortSignal(AbortSignal.timeout(2000))
+    if (error) console.warn('[Ready] Supabase check failed:', error.message || error)
+    return !error
+  } catch (e) {
+    console.warn('[Ready] Supabase check failed:', e?.message || e)
+    return false
+  }
+}
 
-    if (error) {
-      console.error('[Prompts] Error loading from DB:', error)
-      return
-    }
+// Set by shutdown(): no new calls, /readyz fails
+let shuttingDown = false
+
+// Everything a call needs before we take one
+async function readinessChecks() {
+  return {
+    accepting: !shuttingDown,
+    prompts: listAgents().length > 0 && !!getEntryAgent()?.prompt,
+    greeting: !!GREETING_FRAMES_B64[DEFAULT_LANGUAGE]?.length || hasScheduledGreetings(),
+    supabase: await supabaseReachable(),
+  }
+}
 
-    PROMPTS.router = ''
-    PROMPTS.items = ''
-    PROMPTS.pickup = ''
+// Public base URL as Twilio sees it: PUBLIC_BASE_URL, else from the request's Host
+function baseUrl(req) {
+  const configured = publicUrl('')
+  if (configured) return configured
+  const proto = String(req.headers['x-forwarded-proto'] || 'http').split(',')[0]
+  return `${proto}://${req.headers.host}`
+}
+
+// WebSocket URL of one of our media stream paths (transports.js)
+function streamUrl(req, path = '/twilio-stream') {
+  if (path === '/twilio-stream' && STREAM_URL) return STREAM_URL
+  return `${baseUrl(req).replace(/^http/, 'ws')}${path}`
+}
 
-    for (const row of data || []) {
-      if (row.slug === 'router-dev') PROMPTS.router = row.system_prompt || ''
-      if (row.slug === 'item-dev') PROMPTS.items = row.system_prompt || ''
-      if (row.slug === 'locations-dev') PROMPTS.pickup = row.system_prompt || ''
+// Why a new inbound call can't be put on a stream right now, or null
+function inboundRefusal() {
+  if (shuttingDown) return { status: 503, text: 'shutting down' }
+  if (!streamAuthConfigured()) return { status: 500, text: 'stream auth not configured' }
+  return null
+}
+
+// Stream parameters for an inbound call, with the one-time token for callId.
+// ?language=yi on the webhook URL starts the call in that language.
+function inboundStreamParams(req, callId, { from, to }) {
+  const streamParams = { from: from || '', to: to || '' }
+  const language = normalizeLanguage(parseUrl(req.url || '', true).query.language)
+  if (language) streamParams.language = language
+  return { ...streamParams, token: issueStreamToken(callId, streamParams) }
+}
+
+// Twilio webhooks (form-encoded POSTs, signed with X-Twilio-Signature)
+const TWILIO_WEBHOOKS = {
+  // Inbound calls: connect the call to /twilio-stream with a one-time token.
+  // ?language=yi on the webhook URL starts the call in that language.
+  '/voice': (req, res, params) => {
+    // 503: Twilio moves on to the number's fallback URL
+    const refusal = inboundRefusal()
+    if (refusal) {
+      console.warn('[Voice] Refusing call', params.CallSid, '-', refusal.text)
+      res.writeHead(refusal.status, { 'Content-Type': 'text/plain' })
+      return res.end(refusal.text)
     }
 
-    console.log(
-      '[Prompts] Reloaded:',
-      'router=', PROMPTS.router ? 'OK' : 'MISSING',
-      'items=', PROMPTS.items ? 'OK' : 'MISSING',
-      'pickup=', PROMPTS.pickup ? 'OK' : 'MISSING'
-    )
-  } catch (e) {
-    console.error('[Prompts] Unexpected error reloading:', e)
+    const streamParams = inboundStreamParams(req, params.CallSid, { from: params.From, to: params.To })
+    console.log('[Voice] Incoming call', params.CallSid, 'from', params.From, streamParams.language ? `[${streamParams.language}]` : '')
+    return sendTwiml(res, streamTwiml(streamUrl(req), streamParams))
+  },
+
+  // Outbound reminder answered (outbound.js): same stream as /voice, starting on the
+  // campaign's agent. "from" is the person we called, like the caller on /voice.
+  '/outbound/answer': (req, res, params) => {
+    const recipient = getOutboundRecipient(parseUrl(req.url || '', true).query.recipient)
+    if (!recipient || shuttingDown || !streamAuthConfigured()) {
+      console.warn('[Outbound] Not connecting answered call', params.CallSid, recipient ? '' : '(unknown recipient)')
+      return sendTwiml(res, twiml('<Hangup/>'))
+    }
+
+    outboundAnswered(recipient.id, params.CallSid)
+    const streamParams = { from: params.To || '', to: params.From || '', language: recipient.language, outbound: recipient.id }
+    console.log('[Outbound] Answered', params.CallSid, 'by', params.To)
+    return sendTwiml(res, streamTwiml(streamUrl(req), { ...streamParams, token: issueStreamToken(params.CallSid, streamParams) }))
+  },
+
+  '/outbound/status': (req, res, params) => {
+    console.log('[Outbound] Call', params.CallSid, 'status=', params.CallStatus)
+    outboundCallStatus(parseUrl(req.url || '', true).query.recipient, params)
+    res.writeHead(204)
+    return res.end()
+  },
+
+  '/transfer/dial-status': (req, res, params) => {
+    console.log('[Transfer] Dial finished', params.CallSid, 'status=', params.DialCallStatus)
+    return sendTwiml(res, dialStatusTwiml(params.DialCallStatus))
+  },
+
+  '/transfer/voicemail-done': (req, res) => sendTwiml(res, voicemailDoneTwiml()),
+
+  '/transfer/voicemail-recording': (req, res, params) => {
+    console.log('[Transfer] Voicemail recorded', params.CallSid, params.RecordingUrl)
+    logVoicemail(params.CallSid, {
+      recordingUrl: params.RecordingUrl,
+      durationSeconds: Number(params.RecordingDuration) || null,
+    })
+    res.writeHead(204)
+    return res.end()
+  },
+}
+
+// ---------------------------------------------------------------------------
+// Admin API (live calls, see callRegistry.js)
+// ---------------------------------------------------------------------------
+//   GET  /calls                      active calls with their last few utterances
+//   GET  /calls/:callSid             one call with its whole transcript
+//   GET  /calls/:callSid/events      server-sent events: snapshot, transcript, tool_call,
+//                                    tool_result, handoff, language, ended, closed
+//   POST /calls/:callSid/handoff     { "agent": "items", "question": "..." }
+//   POST /calls/:callSid/say         { "text": "..." } spoken after whatever is playing
+//   POST /calls/:callSid/hangup      { "message": "..." } or { "silent": true }
+
+function callSummary(call, turns = ADMIN_TRANSCRIPT_TURNS) {
+  return {
+    callSid: call.callSid,
+    streamSid: call.streamSid,
+    transport: call.transport,
+    callerNumber: call.callerNumber,
+    agent: call.agent(),
+    language: call.language(),
+    startedAt: new Date(call.startedAt).toISOString(),
+    durationS: Math.round((Date.now() - call.startedAt) / 1000),
+    lastUtterances: call.transcript().slice(-turns),
   }
 }
 
-await reloadPromptsFromDB()
+function streamCallEvents(req, res, call) {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' })
+  const send = (event) => res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`)
+
+  send({ type: 'snapshot', ...callSummary(call, Infinity) })
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS)
+  const unsubscribe = subscribeCallEvents(call.callSid, (event) => {
+    send(event)
+    if (event.type === 'closed') res.end()
+  })
+  res.on('close', () => {
+    clearInterval(heartbeat)
+    unsubscribe()
+  })
+}
+
+// Each returns [status, body]. Nothing waits for audio to finish playing.
+const ADMIN_CALL_ACTIONS = {
+  handoff: (call, { agent, question }) => {
+    if (typeof agent !== 'string' || !getAgent(agent)) return [400, { error: `unknown agent: ${agent}` }]
+    if (!call.handoff(agent, typeof question === 'string' && question.trim() ? question.trim() : null)) {
+      return [409, { error: 'call is ending' }]
+    }
+    return [200, { ok: true, agent }]
+  },
+
+  say: (call, { text }) => {
+    if (typeof text !== 'string' || !text.trim()) return [400, { error: 'text is required' }]
+    if (!call.say(text.trim())) return [409, { error: 'call is ending' }]
+    return [202, { ok: true }]
+  },
+
+  hangup: (call, { message, silent }) => {
+    if (silent === true) {
+      call.close('admin')
+    } else {
+      const custom = typeof message === 'string' && message.trim() ? message.trim() : null
+      call
+        .hangUp('admin', custom ? null : 'admin_goodbye', custom || ADMIN_HANGUP_MESSAGE)
+        .catch((e) => console.error('[Admin] Hang-up failed:', e))
+    }
+    return [200, { ok: true }]
+  },
+}
+
+async function handleAdminRequest(req, res, pathname) {
+  if (req.method === 'GET' && pathname === '/calls') {
+    return sendJson(res, 200, { calls: listCalls().map((call) => callSummary(call)) })
+  }
+
+  const m = pathname.match(/^\/calls\/([^/]+)(?:\/([a-z]+))?$/)
+  const callSid = m && decodePathSegment(m[1])
+  if (m && callSid == null) return sendJson(res, 400, { error: 'malformed call id' })
+  const call = m && getCall(callSid)
+  if (!call) return sendJson(res, 404, { error: 'no such active call' })
+
+  const action = m[2]
+  if (req.method === 'GET' && !action) return sendJson(res, 200, callSummary(call, Infinity))
+  if (req.method === 'GET' && action === 'events') return streamCallEvents(req, res, call)
+
+  if (req.method === 'POST' && ADMIN_CALL_ACTIONS[action]) {
+    const text = await readBody(req)
+    let body
+    try {
+      body = text ? JSON.parse(text) : {}
+    } catch {
+      return sendJson(res, 400, { error: 'invalid JSON body' })
+    }
+    console.log('[Admin]', action, call.callSid, JSON.stringify(body))
+    const [status, result] = ADMIN_CALL_ACTIONS[action](call, body || {})
+    return sendJson(res, status, result)
+  }
+
+  return sendJson(res, 404, { error: 'not found' })
+}
 
 // ---------------------------------------------------------------------------
-// 3. HTTP SERVER
+// Outbound reminders (outbound.js)
 // ---------------------------------------------------------------------------
+//   POST /outbound               { "recipients": [{ "to": "+1...", "variables": {...}, "language": "yi" }],
+//                                  "template": "pickup_reminder", "agent": "reminder", "language": "en" }
+//                                -> 202 { campaignId, recipients, rejected }
+//   GET  /outbound/:campaignId   each recipient's status, attempts and last call (from
+//                                cl_outbound_recipients once the campaign has left memory)
+
+function parseOutboundRecipients(list, language) {
+  const accepted = []
+  const rejected = []
+  list.forEach((recipient, index) => {
+    const to = typeof recipient?.to === 'string' ? recipient.to.replace(/[\s().-]/g, '') : ''
+    const variables = recipient?.variables ?? {}
+    if (!E164_NUMBER.test(to)) {
+      rejected.push({ index, to: recipient?.to ?? null, error: 'to must be an E.164 number' })
+    } else if (typeof variables !== 'object' || Array.isArray(variables)) {
+      rejected.push({ index, to, error: 'variables must be an object' })
+    } else {
+      accepted.push({
+        to,
+        variables: Object.fromEntries(Object.entries(variables).map(([k, v]) => [k, v == null ? '' : String(v)])),
+        language: normalizeLanguage(recipient.language) || language,
+      })
+    }
+  })
+  return { accepted, rejected }
+}
+
+async function handleOutboundRequest(req, res, pathname) {
+  if (req.method === 'GET') {
+    const m = pathname.match(/^\/outbound\/([^/]+)$/)
+    const campaignId = m && decodePathSegment(m[1])
+    if (m && campaignId == null) return sendJson(res, 400, { error: 'malformed campaign id' })
+    let campaign = null
+    try {
+      campaign = m && (await getOutboundCampaign(campaignId))
+    } catch (e) {
+      console.error('[Outbound] Failed to read campaign:', e?.message || e)
+      return sendJson(res, 502, { error: 'could not read the campaign' })
+    }
+    return campaign ? sendJson(res, 200, campaign) : sendJson(res, 404, { error: 'no such campaign' })
+  }
+  if (req.method !== 'POST' || pathname !== '/outbound') return sendJson(res, 404, { error: 'not found' })
+
+  if (shuttingDown) return sendJson(res, 503, { error: 'shutting down' })
+  if (!outboundConfigured() || !streamAuthConfigured()) {
+    return sendJson(res, 503, { error: 'outbound calling not configured (TWILIO_* / OUTBOUND_FROM_NUMBER)' })
+  }
+
+  const text = await readBody(req)
+  let body
+  try {
+    body = JSON.parse(text) || {}
+  } catch {
+    return sendJson(res, 400, { error: 'invalid JSON body' })
+  }
+
+  const agent = body.agent || OUTBOUND_AGENT
+  const template = body.template || OUTBOUND_TEMPLATE
+  const language = normalizeLanguage(body.language) || DEFAULT_LANGUAGE
+  if (!getAgent(agent)) return sendJson(res, 400, { error: `unknown agent: ${agent}` })
+  if (!hasAnswerTemplate(template)) return sendJson(res, 400, { error: `unknown template: ${template}` })
+  if (!Array.isArray(body.recipients) || !body.recipients.length) {
+    return sendJson(res, 400, { error: 'recipients is required' })
+  }
+  if (body.recipients.length > OUTBOUND_MAX_RECIPIENTS) {
+    return sendJson(res, 400, { error: `at most ${OUTBOUND_MAX_RECIPIENTS} recipients per request` })
+  }
+
+  const { accepted, rejected } = parseOutboundRecipients(body.recipients, language)
+  if (!accepted.length) return sendJson(res, 400, { error: 'no valid recipients', rejected })
+
+  const campaign = createOutboundCampaign({ recipients: accepted, agent, template, language }, baseUrl(req))
+  return sendJson(res, 202, { ...campaign, rejected })
+}
+
+// 403 for a webhook that failed its signature check. The body may not have been
+// read, so the connection is closed rather than kept alive.
+function rejectWebhook(req, res, provider, reason) {
+  const { pathname } = parseUrl(req.url || '')
+  console.warn(`[Auth] Rejected ${provider} webhook`, pathname, 'reason=', reason)
+  authRejections.inc({ kind: 'webhook', reason })
+  res.writeHead(403, { 'Content-Type': 'text/plain', Connection: 'close' })
+  res.end('forbidden')
+}
+
+async function handleHttpRequest(req, res) {
+  const { pathname } = parseUrl(req.url || '', true)
+
+  // Health checks and metrics
+  if (req.method === 'GET' && pathname === '/healthz') {
+    return sendJson(res, 200, { ok: true })
+  }
+
+  if (req.method === 'GET' && pathname === '/readyz') {
+    const checks = await readinessChecks()
+    const ready = Object.values(checks).every(Boolean)
+    return sendJson(res, ready ? 200 : 503, { ready, checks })
+  }
+
+  if (req.method === 'GET' && pathname === '/metrics') {
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' })
+    return res.end(renderMetrics())
+  }
+
+  // Signature headers are checked before the body is read; an unsigned webhook
+  // is refused without buffering anything
+  if (req.method === 'POST' && TWILIO_WEBHOOKS[pathname]) {
+    const validate = TWILIO_VALIDATE_SIGNATURE !== 'false'
+    const signature = req.headers['x-twilio-signature']
+    if (validate && !signature) return rejectWebhook(req, res, 'Twilio', 'missing_signature')
+    const params = Object.fromEntries(new URLSearchParams(await readBody(req, MAX_WEBHOOK_BODY_BYTES)))
+    if (validate && !validateTwilioSignature(`${baseUrl(req)}${req.url}`, params, signature)) {
+      return rejectWebhook(req, res, 'Twilio', 'bad_signature')
+    }
+    return TWILIO_WEBHOOKS[pathname](req, res, params)
+  }
+
+  // Telnyx TeXML inbound calls: the same stream as /voice, on /telnyx-stream. The
+  // token is bound to the call_control_id, which the stream's start event carries.
+  if (req.method === 'POST' && pathname === '/telnyx/voice') {
+    const validate = TELNYX_VALIDATE_SIGNATURE !== 'false'
+    const signature = req.headers['telnyx-signature-ed25519']
+    const timestamp = req.headers['telnyx-timestamp']
+    const headers = validate ? checkTelnyxSignatureHeaders(signature, timestamp) : { ok: true }
+    if (!headers.ok) return rejectWebhook(req, res, 'Telnyx', headers.reason)
+    const raw = await readBody(req, MAX_WEBHOOK_BODY_BYTES)
+    if (validate) {
+      const check = validateTelnyxSignature(raw, signature, timestamp)
+      if (!check.ok) return rejectWebhook(req, res, 'Telnyx', check.reason)
+    }
+
+    const params = Object.fromEntries(new URLSearchParams(raw))
+    const callId = params.CallControlId || params.CallSid
+    const refusal = inboundRefusal()
+    if (refusal) {
+      console.warn('[Voice] Refusing Telnyx call', callId, '-', refusal.text)
+      res.writeHead(refusal.status, { 'Content-Type': 'text/plain' })
+      return res.end(refusal.text)
+    }
+
+    const streamParams = inboundStreamParams(req, callId, { from: params.From, to: params.To })
+    console.log('[Voice] Incoming Telnyx call', callId, 'from', params.From, streamParams.language ? `[${streamParams.language}]` : '')
+    return sendTwiml(res, telnyxStreamTexml(streamUrl(req, '/telnyx-stream'), streamParams))
+  }
 
-const httpServer = http.createServer(async (req, res) => {
-  if (req.method === 'POST' && req.url === '/refresh-prompts') {
-    const authHeader = req.headers['authorization'] || ''
-    if (!PROMPT_REFRESH_SECRET || authHeader !== `Bearer ${PROMPT_REFRESH_SECRET}`) {
+  // Test calls from a browser (/browser-stream, see transports.js)
+  if (req.method === 'GET' && pathname === '/browser-call') {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' })
+    return res.end(fs.readFileSync(new URL('./browser-call.html', import.meta.url)))
+  }
+
+  if (req.method === 'POST' && pathname === '/refresh-prompts') {
+    if (!hasBearer(req, PROMPT_REFRESH_SECRET)) {
       res.writeHead(401, { 'Content-Type': 'text/plain' })
       return res.end('unauthorized')
     }
-    await reloadPromptsFromDB()
+    await reloadConfig()
     res.writeHead(200, { 'Content-Type': 'text/plain' })
     return res.end('ok')
   }
 
+  if (pathname === '/calls' || pathname.startsWith('/calls/')) {
+    if (!hasBearer(req, ADMIN_API_SECRET)) {
+      res.writeHead(401, { 'Content-Type': 'text/plain' })
+      return res.end('unauthorized')
+    }
+    return handleAdminRequest(req, res, pathname)
+  }
+
+  if (pathname === '/outbound' || pathname.startsWith('/outbound/')) {
+    if (!hasBearer(req, OUTBOUND_API_SECRET || ADMIN_API_SECRET)) {
+      res.writeHead(401, { 'Content-Type': 'text/plain' })
+      return res.end('unauthorized')
+    }
+    return handleOutboundRequest(req, res, pathname)
+  }
+
   res.writeHead(404, { 'Content-Type': 'text/plain' })
   res.end('not found')
+}
+
+// A failed request is answered (or its socket dropped); it never takes the gateway down
+const httpServer = http.createServer((req, res) => {
+  handleHttpRequest(req, res).catch((e) => {
+    const status = e?.status || 500
+    if (status === 500) console.error('[HTTP] Error handling', req.method, req.url, e)
+    else console.warn('[HTTP] Refused', req.method, req.url, '-', e.message)
+    if (res.headersSent || req.destroyed) return res.destroy()
+    res.writeHead(status, { 'Content-Type': 'text/plain', Connection: 'close' })
+    // Whatever is left of an oversized body isn't read
+    res.end(status === 500 ? 'internal error' : e.message, () => req.destroy())
+  })
 })
 
 const wss = new WebSocketServer({ server: httpServer })
@@ -134,46 +810,107 @@ httpServer.listen(Number(PORT), '0.0.0.0', () => {
 })
 
 // ---------------------------------------------------------------------------
-// 4. WS SERVER (Twilio <-> OpenAI + ElevenLabs)
+// 4. WS SERVER (Twilio / Telnyx / browser <-> OpenAI + ElevenLabs)
 // ---------------------------------------------------------------------------
 
-wss.on('connection', async (twilioWs, req) => {
+// search_pickup_locations output -> [{ name, address, hours, map_url }] for send_sms.
+// Takes { locations: [...] } or { location: {...} }; without a map link from the
+// endpoint, one is made from the address.
+function pickupLocationsFrom(output) {
+  const list = Array.isArray(output?.locations) ? output.locations : output?.location ? [output.location] : []
+  return list
+    .filter((l) => l && typeof l === 'object' && (l.name || l.address))
+    .map((l) => ({
+      name: String(l.name || ''),
+      address: String(l.address || ''),
+      hours: String(l.hours || ''),
+      map_url: String(
+        l.map_url || (l.address ? `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(l.address)}` : '')
+      ),
+    }))
+}
+
+wss.on('connection', async (ws, req) => {
   const { pathname } = parseUrl(req.url || '', true)
-  if (pathname !== '/twilio-stream') {
+  // Twilio, Telnyx or a browser: the rest of the call only sees this interface
+  const transport = createTransport(pathname, ws)
+  if (!transport) {
     console.log('[WS] Unknown path:', pathname)
-    twilioWs.close()
+    ws.close()
     return
   }
 
-  console.log('[WS] New Twilio Connection')
+  if (shuttingDown) {
+    console.warn('[WS] Shutting down, refusing new stream')
+    transport.close(1013, 'shutting down')
+    return
+  }
 
-  const openaiWs = new WebSocket('wss://api.openai.com/v1/realtime?model=gpt-4o-realtime-preview', {
-    headers: {
-      Authorization: `Bearer ${OPENAI_API_KEY}`,
-      'OpenAI-Beta': 'realtime=v1',
-    },
-  })
+  console.log(`[WS] New ${transport.kind} connection`)
+
+  // Opened only once the start event carries a valid stream token (streamAuth.js)
+  let openaiWs = null
+
+  function connectOpenAI() {
+    openaiWs = new WebSocket(OPENAI_REALTIME_URL, {
+      headers: {
+        Authorization: `Bearer ${OPENAI_API_KEY}`,
+        'OpenAI-Beta': 'realtime=v1',
+      },
+    })
+    openaiWs.on('open', onOpenAIOpen)
+    openaiWs.on('message', onOpenAIMessage)
+    openaiWs.on('close', onOpenAIClose)
+    openaiWs.on('error', onOpenAIError)
+  }
 
   // ----------------------------
   // Per-call state
   // ----------------------------
   let callSid = null
   let streamSid = null
+  let callerNumber = null // signed "from" parameter from /voice
+  let calledNumber = null // signed "to" parameter: the number the caller dialed
+  let callerProfile = null // returning caller (callerContext.js), once the lookup answers
 
   let openaiReady = false
 
-  // "speaking" blocks barge-in and prevents response.create from audio
+  // "speaking" prevents response.create from audio; caller audio is only forwarded
+  // while speaking once the playback has become interruptible (barge-in).
   let isAssistantSpeaking = false
   let isGreetingPlaying = false
 
-  let currentAgent = 'router'
+  // Playback control (greeting/TTS play one after another; barge-in drops them all)
+  let playbackEpoch = 0 // bumped on barge-in; playbacks from an older epoch stop
+  let playbackTail = Promise.resolve()
+  let playbacksQueued = 0
+  let playbackInterruptibleAt = Infinity
+  let playbackFramesSent = 0
+  let playbackItemId = null // OpenAI assistant item being spoken (for truncate)
+  let playbackItemAudioMs = 0
+  const activeTtsStreams = new Set()
+
+  // ElevenLabs stream fed by the response currently being generated (stream mode)
+  let ttsStream = null
+
+  // Assistant item currently being generated by OpenAI
+  let assistantItemId = null
+  let assistantAudioBytes = 0
+
+  let currentAgent = getEntryAgent()?.key || null
+
+  // agent key -> prompt version / A/B variant this call uses (choosePromptVariant);
+  // kept for the whole call, so a mid-call reload doesn't switch it
+  const promptChoices = new Map()
 
   // Response lifecycle control (prevents conversation_already_has_active_response)
   let responseInProgress = false
   let pendingResponseCreate = false
+  // Set when barge-in cancels the active response: its late deltas are not spoken
+  let responseCancelled = false
 
   // Only speak when a response was actually requested because of user speech/tool followup
-  let lastResponseIntent = null // 'vad' | 'handoff' | 'tool-followup'
+  let lastResponseIntent = null // 'vad' | 'handoff' | 'tool-followup' | 'language'
 
   // Text accumulation from OpenAI (we use this to send to ElevenLabs)
   let assistantTranscript = ''
@@ -182,12 +919,65 @@ wss.on('connection', async (twilioWs, req) => {
   // Tool call mapping
   const functionCallMap = new Map()
 
+  // When the caller last stopped speaking, until the answer's first audio frame (metrics)
+  let speechStoppedAt = null
+
+  // Set once the cl_phone_calls row has been closed
+  let callEnded = false
+
+  // Caller language (languages.js); decided by the stream's parameters, the first
+  // caller utterance, or a keypad choice, whichever comes first
+  let callLanguage = DEFAULT_LANGUAGE
+  let languageDecided = false
+
+  // TTS cache hits/misses for this call (ttsCache.js), logged when the call ends
+  const ttsCacheStats = createTtsCacheStats()
+
+  // Both directions of the call when it is being recorded (recording.js)
+  let recorder = null
+
+  // Locations from the last search_pickup_locations result, and texts sent so far
+  // (body -> Twilio message SID) for send_sms
+  let pickupLocations = []
+  const smsSent = new Map()
+
+  // lookup_order: orders the caller has proven are theirs, and wrong answers so far
+  const verifiedOrders = new Set()
+  let orderVerifyFailures = 0
+
+  // Outbound reminder already spoken, for the model's context once OpenAI is up
+  let openingMessage = null
+  // A keypad note ({ text, reason }) from before OpenAI was up, sent once it is
+  let pendingCallerNote = null
+
+  // What was said so far ({ role, text }), passed along with transfers
+  const transcript = []
+  // Agents in the order the call went through them, and the tools it used (call summary)
+  const agentsVisited = []
+  const toolsUsed = new Set()
+
+  // Once set, the bot stops answering: the call is about to leave the media stream
+  // (transfer, or hang-up after silence / max duration)
+  let leavingStream = false
+
+  // No-input handling: silence counts from the last thing that happened on the call
+  // and is held while we speak or generate, a tool runs, or digits are collected
+  let lastActivityAt = Date.now()
+  let repromptsSent = 0
+  let callerSpeaking = false
+  let toolCallsInFlight = 0
+  let silenceTimer = null
+  let maxDurationTimer = null
+
+  // Active collect_digits tool call: { callId, args, digits, maxDigits, timeoutMs, timer }
+  let digitCollection = null
+
   // ----------------------------
   // Small helpers
   // ----------------------------
 
   function safeSendOpenAI(obj) {
-    if (openaiWs.readyState === WebSocket.OPEN) {
+    if (openaiWs?.readyState === WebSocket.OPEN) {
       openaiWs.send(JSON.stringify(obj))
     }
   }
@@ -209,40 +999,173 @@ wss.on('connection', async (twilioWs, req) => {
     return new Promise((r) => setTimeout(r, ms))
   }
 
+  function recordTurn(role, text) {
+    transcript.push({ role, text })
+    logTurn(callSid, { role, agent: currentAgent, text })
+    emitCallEvent({ type: 'transcript', role, text, agent: currentAgent })
+  }
+
+  // Live feed for the admin API (callRegistry.js)
+  function emitCallEvent(event) {
+    if (registryKey) publishCallEvent(registryKey, event)
+  }
+
+  function endCall(hangupReason) {
+    if (callEnded || !callSid) return
+    callEnded = true
+    emitCallEvent({ type: 'ended', reason: hangupReason })
+    callsTotal.inc({ final_agent: currentAgent || 'none' })
+    console.log(`[TTSCache] Call ${callSid}: ${ttsCacheStats.hits} hits, ${ttsCacheStats.misses} misses`)
+    logCallEnded(callSid, {
+      agent: currentAgent,
+      hangupReason,
+      ttsCacheHits: ttsCacheStats.hits,
+      ttsCacheMisses: ttsCacheStats.misses,
+      summary: summarizeCall(transcript, {
+        agents: agentsVisited,
+        tools: [...toolsUsed],
+        agent: currentAgent,
+        hangupReason,
+      }),
+    })
+  }
+
   // -------------------------------------------------------------------------
-  // Static greeting playback (raw µ-law frames)
+  // Playback + barge-in
   // -------------------------------------------------------------------------
-  async function playGreeting() {
-    if (!GREETING_FRAMES_B64 || !streamSid) return
-    console.log('[Greeting] Playing static greeting over Twilio stream')
-
-    isGreetingPlaying = true
+  // `frames` is an array or async iterable of base64 µ-law frames. Playbacks are
+  // chained so two answers never interleave; interruptPlayback() bumps the epoch,
+  // which stops the running loop and discards everything queued behind it.
+  // Resolves true if every frame was sent.
+  function schedulePlayback(frames, opts = {}) {
+    const epoch = playbackEpoch
+    const interruptibleAt = () => (opts.bargeInEnabled ? Date.now() + (opts.bargeInAfterMs ?? 0) : Infinity)
+
+    if (!playbacksQueued) playbackInterruptibleAt = interruptibleAt()
+    playbacksQueued += 1
     isAssistantSpeaking = true
 
-    try {
-      // 20 ms pacing per frame to keep it real-time and clean
-      for (const b64 of GREETING_FRAMES_B64) {
-        twilioWs.send(
-          JSON.stringify({
-            event: 'media',
-            streamSid,
-            media: { payload: b64 },
-          })
-        )
-        await sleep(20)
-      }
-    } catch (e) {
-      console.error('[Greeting] Error streaming greeting:', e)
-    } finally {
-      isGreetingPlaying = false
-      isAssistantSpeaking = false
-      console.log('[Greeting] Finished static greeting playback')
+    const run = playbackTail
+      .then(async () => {
+        if (epoch !== playbackEpoch) return false
+
+        isGreetingPlaying = !!opts.isGreeting
+        playbackFramesSent = 0
+        playbackItemId = opts.itemId || null
+        playbackItemAudioMs = opts.itemAudioMs || 0
+        playbackInterruptibleAt = interruptibleAt()
+
+        // 20 ms pacing per frame keeps it real-time and clean
+        for await (const b64 of frames) {
+          if (epoch !== playbackEpoch) return false
+          transport.sendMedia(b64)
+          recorder?.addOutbound(b64)
+          playbackFramesSent += 1
+          if (speechStoppedAt && !opts.isGreeting) {
+            responseLatency.observe({}, (Date.now() - speechStoppedAt) / 1000)
+            speechStoppedAt = null
+          }
+          await sleep(20)
+        }
+        return epoch === playbackEpoch
+      })
+      .catch((e) => {
+        console.error('[Playback] Error streaming audio:', e?.message || e)
+        return false
+      })
+      .finally(() => {
+        // An interrupted playback must not clear state owned by newer ones
+        if (epoch !== playbackEpoch) return
+        isGreetingPlaying = false
+        playbacksQueued -= 1
+        if (!playbacksQueued) {
+          isAssistantSpeaking = false
+          playbackInterruptibleAt = Infinity
+        }
+      })
+
+    playbackTail = run
+    return run
+  }
+
+  function isPlaybackInterruptible() {
+    return isAssistantSpeaking && Date.now() >= playbackInterruptibleAt
+  }
+
+  function interruptPlayback() {
+    const playedMs = playbackFramesSent * 20
+    const itemId = playbackItemId
+    const itemAudioMs = playbackItemAudioMs
+    const wasGreeting = isGreetingPlaying
+
+    playbackEpoch += 1
+    playbackTail = Promise.resolve()
+    playbacksQueued = 0
+    isAssistantSpeaking = false
+    isGreetingPlaying = false
+    playbackInterruptibleAt = Infinity
+
+    for (const stream of activeTtsStreams) stream.close()
+    activeTtsStreams.clear()
+    ttsStream = null
+
+    console.log('[BargeIn] Caller interrupted', wasGreeting ? 'greeting' : `[${currentAgent}]`, 'after', playedMs, 'ms')
+
+    // Flush whatever the carrier (or browser) still has buffered
+    if (streamSid) transport.clear()
+
+    // Drop any answer still being generated; the caller is asking something new
+    if (responseInProgress) {
+      safeSendOpenAI({ type: 'response.cancel' })
+      responseCancelled = true
     }
+    pendingResponseCreate = false
+
+    // Trim the spoken item so the model knows what the caller actually heard.
+    // OpenAI rejects an audio_end_ms past the end of its own audio, so cap it.
+    if (itemId && itemAudioMs > 0) {
+      safeSendOpenAI({
+        type: 'conversation.item.truncate',
+        item_id: itemId,
+        content_index: 0,
+        audio_end_ms: Math.min(playedMs, itemAudioMs),
+      })
+    }
+  }
+
+  // -------------------------------------------------------------------------
+  // Static greeting playback (raw µ-law frames)
+  // -------------------------------------------------------------------------
+  async function playGreeting() {
+    const greeting = greetingFor(callLanguage) || greetingFor(DEFAULT_LANGUAGE)
+    if (!greeting || !streamSid) return
+    console.log(`[Greeting] Playing ${greeting.name} greeting over ${transport.kind} stream [${callLanguage}]`)
+
+    // The entry agent's barge-in settings; only a null window falls back to GREETING_BARGE_IN_AFTER_MS
+    const { bargeInEnabled, bargeInAfterMs } = getEntryAgent() || defaultAgentSettings()
+    const completed = await schedulePlayback(greeting.frames, {
+      isGreeting: true,
+      bargeInEnabled,
+      bargeInAfterMs: bargeInAfterMs ?? (Number(GREETING_BARGE_IN_AFTER_MS) || 0),
+    })
+    console.log(completed ? '[Greeting] Finished static greeting playback' : '[Greeting] Interrupted by caller')
   }
 
   // -------------------------------------------------------------------------
   // ElevenLabs TTS (dynamic responses)
   // -------------------------------------------------------------------------
+  function playbackOptionsForCurrentAgent() {
+    const { bargeInEnabled, bargeInAfterMs } = getAgent(currentAgent) || defaultAgentSettings()
+    return { bargeInEnabled, bargeInAfterMs, itemId: assistantItemId }
+  }
+
+  // The current agent's voice and pronunciations, in the caller's language; looked up
+  // per utterance, so a handoff or /refresh-prompts applies to the next thing said
+  function ttsOptions() {
+    return elevenLabsOptions(callLanguage, getAgent(currentAgent))
+  }
+
+  // Buffered mode: synthesize the whole answer, then play it
   async function speakWithElevenLabs(text) {
     if (!text || !text.trim()) return
     if (!streamSid) {
@@ -250,356 +1173,782 @@ wss.on('connection', async (twilioWs, req) => {
       return
     }
 
-    try {
-      isAssistantSpeaking = true
-      console.log(`[ElevenLabs] Synthesizing: "${text.substring(0, 80)}..."`)
-
-      const modelId = ELEVENLABS_MODEL_ID || 'eleven_turbo_v2_5'
-
-      const resp = await axios.post(
-        `https://api.elevenlabs.io/v1/text-to-speech/${ELEVENLABS_VOICE_ID}?output_format=ulaw_8000`,
-        {
-          text,
-          model_id: modelId,
-          voice_settings: {
-            stability: 0.8,
-            similarity_boost: 0.0,
-            style: 0.25,
-            speed: 0.95,
-          },
-        },
-        {
-          headers: {
-            'xi-api-key': ELEVENLABS_API_KEY,
-            'Content-Type': 'application/json',
-          },
-          responseType: 'arraybuffer',
-          timeout: 20000,
-        }
-      )
-
-      const audio = Buffer.from(resp.data)
-      const FRAME_SIZE = 160 // 20 ms @ 8kHz µ-law
+    console.log(`[ElevenLabs] Synthesizing: "${text.substring(0, 80)}..."`)
 
-      // Real-time pacing prevents distortion/buffer weirdness
-      for (let i = 0; i < audio.length; i += FRAME_SIZE) {
-        const chunk = audio.subarray(i, i + FRAME_SIZE)
-        const b64 = chunk.toString('base64')
-        twilioWs.send(JSON.stringify({ event: 'media', streamSid, media: { payload: b64 } }))
-        await sleep(20)
-      }
-    } catch (e) {
+    // Start synthesis now, even if an earlier answer is still playing.
+    // Errors are handled here so a queued request can't become an unhandled rejection.
+    const audioPromise = cachedSynthesize({ ...ttsOptions(), text }, ttsCacheStats).catch((e) => {
       console.error('[ElevenLabs] TTS Error:', e?.response?.data || e?.message || e)
-    } finally {
-      isAssistantSpeaking = false
+      return null
+    })
+
+    async function* frames() {
+      const audio = await audioPromise
+      if (audio) yield* toFramesB64(audio)
+    }
+
+    // Capture now: OpenAI may start generating another item while we synthesize
+    await schedulePlayback(frames(), {
+      ...playbackOptionsForCurrentAgent(),
+      itemAudioMs: Math.floor(assistantAudioBytes / 8), // g711 µ-law: 8 bytes per ms
+    })
+  }
+
+  // Stream mode: open an ElevenLabs input stream for the response being generated;
+  // transcript deltas are pushed into it and audio plays as soon as it comes back.
+  // Repeated answers come from the TTS cache instead (ttsCache.js).
+  function startElevenLabsStream() {
+    if (!streamSid) {
+      console.warn('[TTS] No streamSid yet, skipping TTS')
+      return null
     }
+
+    console.log(`[ElevenLabs] Streaming answer [${currentAgent}]`)
+    const stream = openCachedTtsStream(ttsOptions(), ttsCacheStats)
+    activeTtsStreams.add(stream)
+
+    // Item audio keeps growing while we play; response.audio.delta updates playbackItemAudioMs
+    schedulePlayback(stream.frames, playbackOptionsForCurrentAgent()).finally(() => {
+      activeTtsStreams.delete(stream)
+      stream.close()
+    })
+    return stream
   }
 
   // -------------------------------------------------------------------------
   // OpenAI session configuration per agent
   // -------------------------------------------------------------------------
-  function setRouterSession() {
-    currentAgent = 'router'
-    const routerPrompt = PROMPTS.router || 'You are the Chasdei Lev router agent.'
+  function setAgentSession(agentKey) {
+    const agent = getAgent(agentKey)
+    if (!agent) {
+      console.error('[Agents] Unknown agent:', agentKey)
+      return false
+    }
+
+    currentAgent = agent.key
+    if (agentsVisited.at(-1) !== agent.key) agentsVisited.push(agent.key)
+    logCallAgent(callSid, currentAgent)
+
+    if (!promptChoices.has(agent.key)) {
+      const choice = choosePromptVariant(agent, callSid)
+      promptChoices.set(agent.key, choice)
+      logCallPrompt(callSid, agent.key, choice)
+      if (choice.variant) console.log('[Agents]', callSid, agent.key, `variant=${choice.variant} v${choice.version}`)
+    }
 
     safeSendOpenAI({
       type: 'session.update',
       session: {
-        instructions: routerPrompt,
+        instructions: [
+          agentPrompt(agent, callLanguage, promptChoices.get(agent.key)) || `You are the Chasdei Lev ${agent.key} agent.`,
+          callerProfile && callerInstructions(callerProfile, { verified: verifiedOrders.size > 0 }),
+        ]
+          .filter(Boolean)
+          .join('\n\n'),
         modalities: ['audio', 'text'],
         input_audio_format: 'g711_ulaw',
         output_audio_format: 'g711_ulaw',
+        // Caller turns for the call log and language detection; hinted once the language is known
+        input_audio_transcription: { model: 'whisper-1', ...(languageDecided ? { language: callLanguage } : {}) },
         turn_detection: { type: 'server_vad' },
-        tools: [
-          {
-            type: 'function',
-            name: 'determine_route',
-            description:
-              'Classify caller intent for Chasdei Lev phone calls and decide which agent should handle it.',
-            parameters: {
-              type: 'object',
-              properties: {
-                message: { type: 'string' },
-                ai_classification: { type: 'string' },
-              },
-              required: ['message', 'ai_classification'],
-            },
-          },
-        ],
+        tools: agent.tools,
       },
     })
+    return true
   }
 
-  function setItemsSession() {
-    currentAgent = 'items'
-    const itemsPrompt = PROMPTS.items || 'You are the Chasdei Lev items agent.'
+  // -------------------------------------------------------------------------
+  // Agent switching / handoff
+  // -------------------------------------------------------------------------
+  async function handleHandoff(h) {
+    console.log('[Handoff]', h)
 
-    safeSendOpenAI({
-      type: 'session.update',
-      session: {
-        instructions: itemsPrompt,
-        tools: [
-          {
-            type: 'function',
-            name: 'search_items',
-            description:
-              'Search the Chasdei Lev items database and answer kashrus and package questions based ONLY on the provided data.',
-            parameters: {
-              type: 'object',
-              properties: { query: { type: 'string' } },
-              required: ['query'],
-            },
-          },
-          {
-            type: 'function',
-            name: 'handoff_to_router',
-            description: 'Return control to the router agent when the caller asks about something other than items.',
-            parameters: {
-              type: 'object',
-              properties: { question: { type: 'string' } },
-              required: ['question'],
-            },
-          },
-        ],
-      },
-    })
-  }
+    const from = currentAgent
+    if (!setAgentSession(h.intent)) return
+    handoffsTotal.inc({ from: from || 'none', to: currentAgent })
+    emitCallEvent({ type: 'handoff', from, to: currentAgent, forced: !!h.forced })
 
-  function setPickupSession() {
-    currentAgent = 'pickup'
-    const pickupPrompt = PROMPTS.pickup || 'You are the Chasdei Lev pickup agent.'
+    if (h.question) sendCallerNote(h.question, 'handoff')
+  }
 
+  // A user message the model should answer (a handoff question, a keypad choice).
+  // Before OpenAI is up it waits for onOpenAIOpen instead of being dropped.
+  function sendCallerNote(text, reason) {
+    if (!openaiReady) {
+      pendingCallerNote = { text, reason }
+      return
+    }
     safeSendOpenAI({
-      type: 'session.update',
-      session: {
-        instructions: pickupPrompt,
-        tools: [
-          {
-            type: 'function',
-            name: 'search_pickup_locations',
-            description:
-              'Search the Chasdei Lev distribution locations database and answer pickup time/location questions based ONLY on the provided data.',
-            parameters: {
-              type: 'object',
-              properties: { location_query: { type: 'string' } },
-              required: ['location_query'],
-            },
-          },
-          {
-            type: 'function',
-            name: 'handoff_to_router',
-            description: 'Return control to the router agent when the caller asks about something other than pickup.',
-            parameters: {
-              type: 'object',
-              properties: { question: { type: 'string' } },
-              required: ['question'],
-            },
-          },
-        ],
+      type: 'conversation.item.create',
+      item: {
+        type: 'message',
+        role: 'user',
+        content: [{ type: 'input_text', text }],
       },
     })
+    requestResponseCreate(reason)
   }
 
   // -------------------------------------------------------------------------
-  // Agent switching / handoff
+  // Silence reprompts, max duration, hang-up
   // -------------------------------------------------------------------------
-  async function handleHandoff(h) {
-    console.log('[Handoff]', h)
+  function noteActivity() {
+    lastActivityAt = Date.now()
+  }
 
-    if (h.intent === 'items') {
-      setItemsSession()
-
-      if (h.question) {
-        safeSendOpenAI({
-          type: 'conversation.item.create',
-          item: {
-            type: 'message',
-            role: 'user',
-            content: [{ type: 'input_text', text: h.question }],
-          },
-        })
-        requestResponseCreate('handoff')
-      }
+  function silenceHeld() {
+    return (
+      isAssistantSpeaking ||
+      isGreetingPlaying ||
+      responseInProgress ||
+      pendingResponseCreate ||
+      callerSpeaking ||
+      toolCallsInFlight > 0 ||
+      !!digitCollection ||
+      leavingStream
+    )
+  }
+
+  // Runs every SILENCE_CHECK_INTERVAL_MS while the call is up
+  async function checkSilence() {
+    if (silenceHeld()) {
+      noteActivity()
       return
     }
 
-    if (h.intent === 'pickup') {
-      setPickupSession()
+    const { silenceTimeoutMs, maxReprompts } = getAgent(currentAgent) || defaultAgentSettings()
+    if (!silenceTimeoutMs || Date.now() - lastActivityAt < silenceTimeoutMs) return
+    noteActivity()
 
-      if (h.question) {
-        safeSendOpenAI({
-          type: 'conversation.item.create',
-          item: {
-            type: 'message',
-            role: 'user',
-            content: [{ type: 'input_text', text: h.question }],
-          },
-        })
-        requestResponseCreate('handoff')
-      }
+    if (repromptsSent >= maxReprompts) {
+      await hangUpWithGoodbye('no_input', 'silence_goodbye', SILENCE_GOODBYE_MESSAGE)
       return
     }
 
-    if (h.intent === 'router') {
-      setRouterSession()
+    repromptsSent += 1
+    console.log('[Silence]', callSid, `no input for ${silenceTimeoutMs} ms, reprompt ${repromptsSent}/${maxReprompts}`)
+    const text = await speakAnswer('silence_reprompt', {}, SILENCE_REPROMPT_MESSAGE, callLanguage)
+    recordTurn('assistant', text)
+    await speakWithElevenLabs(text)
+  }
 
-      if (h.question) {
-        safeSendOpenAI({
-          type: 'conversation.item.create',
-          item: {
-            type: 'message',
-            role: 'user',
-            content: [{ type: 'input_text', text: h.question }],
-          },
-        })
-        requestResponseCreate('handoff')
-      }
+  // Says goodbye after whatever is playing, then ends the call through Twilio REST
+  // (or by closing the stream, which ends a <Connect> call, if REST isn't configured
+  // or the call isn't on Twilio)
+  async function hangUpWithGoodbye(reason, templateKey, fallback) {
+    if (leavingStream) return
+    leavingStream = true
+    clearInterval(silenceTimer)
+    clearTimeout(maxDurationTimer)
+    console.log('[Hangup]', callSid, 'reason=', reason)
+
+    if (responseInProgress) safeSendOpenAI({ type: 'response.cancel' })
+    pendingResponseCreate = false
+
+    const text = templateKey ? await speakAnswer(templateKey, {}, fallback, callLanguage) : fallback
+    recordTurn('assistant', text)
+    await speakWithElevenLabs(text)
+
+    endCall(reason)
+    try {
+      // Other transports end the call when the stream closes
+      if (transport.kind !== 'twilio') throw new Error(`${transport.kind} call: closing the stream`)
+      if (!twilioConfigured() || !callSid) throw new Error('Twilio REST not configured')
+      await hangupCall(callSid)
+    } catch (e) {
+      console.error('[Hangup] Twilio hang-up failed, closing stream:', e?.response?.data || e?.message || e)
+      transport.close()
+    }
+  }
+
+  // Admin: move the call to another agent now, cutting off whatever is playing
+  function forceHandoff(agentKey, question) {
+    if (leavingStream) return false
+    if (responseInProgress || isAssistantSpeaking) interruptPlayback()
+    handleHandoff({ handoff_from: currentAgent, intent: agentKey, question, forced: true }).catch((e) =>
+      console.error('[Admin] Handoff failed:', e)
+    )
+    return true
+  }
+
+  // Something we said ourselves, so the model knows it was said
+  function sendAssistantItem(text) {
+    safeSendOpenAI({
+      type: 'conversation.item.create',
+      item: { type: 'message', role: 'assistant', content: [{ type: 'text', text }] },
+    })
+  }
+
+  // Admin: say `text` after whatever is playing, and put it in the model's context
+  function injectMessage(text) {
+    if (leavingStream) return false
+    recordTurn('assistant', text)
+    sendAssistantItem(text)
+    speakWithElevenLabs(text).catch((e) => console.error('[Admin] Speaking failed:', e))
+    return true
+  }
+
+  // Outbound reminder calls open with the campaign's template instead of the greeting
+  async function speakReminder(recipient) {
+    const text = await speakAnswer(recipient.template, recipient.variables, '', callLanguage)
+    if (!text) {
+      console.error('[Outbound] Nothing to say for recipient', recipient.id, '- ending call')
+      closeCall('outbound_no_message')
       return
     }
+    openingMessage = text
+    recordTurn('assistant', text)
+    sendAssistantItem(text) // no-op until OpenAI is up; onOpenAIOpen sends it then
+    await speakWithElevenLabs(text)
+  }
+
+  // Ends the call without a goodbye; closing a <Connect><Stream> stream hangs up
+  function closeCall(reason) {
+    endCall(reason)
+    try {
+      openaiWs?.close()
+    } catch {}
+    transport.close()
+  }
+
+  // Known callers (callerContext.js): their context joins the instructions and tool
+  // payloads once the lookup answers, which never holds up the greeting.
+  async function recognizeCaller(number) {
+    const profile = await lookupCaller(number)
+    if (!profile || callEnded) return
+    callerProfile = profile
+    console.log('[Caller] Recognized returning caller on', callSid, profile.name ? `(${profile.name})` : '')
+
+    // Only until the call's own language parameter or the caller's first words
+    // decide it: detection still runs, and Whisper gets no hint from the profile
+    const language = profile.preferredLanguage
+    if (language && !languageDecided && switchLanguage(language, 'caller_profile', { decided: false })) return
+    if (openaiReady && !leavingStream) setAgentSession(currentAgent)
+  }
+
+  // Added to every tool payload, next to call_sid
+  function callerFields() {
+    return callerProfile ? { caller: callerPayload(callerProfile, { verified: verifiedOrders.size > 0 }) } : {}
+  }
+
+  function startCallTimers() {
+    noteActivity()
+    silenceTimer = setInterval(() => {
+      checkSilence().catch((e) => console.error('[Silence] Check failed:', e))
+    }, SILENCE_CHECK_INTERVAL_MS)
+
+    const maxDurationS = Number(MAX_CALL_DURATION_S)
+    if (maxDurationS > 0) {
+      maxDurationTimer = setTimeout(() => {
+        hangUpWithGoodbye('max_duration', 'max_duration_goodbye', MAX_DURATION_MESSAGE).catch((e) =>
+          console.error('[Hangup] Error:', e)
+        )
+      }, maxDurationS * 1000)
+    }
+  }
+
+  // -------------------------------------------------------------------------
+  // Caller language
+  // -------------------------------------------------------------------------
+  // Re-sends the session so prompt, transcription hint and voice follow the caller.
+  // Returns false when the call is already in that language. `decided: false`
+  // (a guess, e.g. the caller's profile) leaves detection on the next utterance on.
+  function switchLanguage(language, source, { decided = true } = {}) {
+    if (decided) languageDecided = true
+    if (language === callLanguage) return false
+
+    console.log('[Language]', callSid, callLanguage, '->', language, `(${source})`)
+    callLanguage = language
+    logCallLanguage(callSid, language)
+    emitCallEvent({ type: 'language', language, source })
+    setAgentSession(currentAgent)
+    return true
+  }
+
+  // First caller utterance: an answer already generated or playing in the old
+  // language is dropped and the agent answers again in the caller's language.
+  function handleDetectedLanguage(text) {
+    const language = detectLanguage(text)
+    languageDecided = true
+    if (!language || !switchLanguage(language, 'detected')) return
+
+    if (responseInProgress || isAssistantSpeaking) interruptPlayback()
+    requestResponseCreate('language')
   }
 
   // -------------------------------------------------------------------------
   // Tool call handler
   // -------------------------------------------------------------------------
-  async function handleToolCall(toolName, args, callId) {
+  // POSTs a tool payload to its endpoint (with retries, see toolClient.js) and
+  // records the invocation in the call log. Throws once all attempts failed.
+  async function postToolEndpoint(toolName, agent, { label, url: endpoint }, args, payload) {
+    if (!endpoint) console.error(`[Tool] ${label} not configured`)
+
+    const startedAt = Date.now()
     try {
-      // Safety: handle a couple of hallucinated tool names gracefully
-      if (toolName === 'handoff_to_items') toolName = 'determine_route'
-      if (toolName === 'handoff_to_pickup') toolName = 'determine_route'
+      const output = await callToolEndpoint(endpoint, payload, getToolOptions(agent, toolName))
+      toolLatency.observe({ tool: toolName, endpoint: label, outcome: 'ok' }, (Date.now() - startedAt) / 1000)
+      logToolCall(callSid, {
+        agent: currentAgent,
+        toolName,
+        args,
+        endpoint,
+        response: output,
+        latencyMs: Date.now() - startedAt,
+      })
+      return output
+    } catch (e) {
+      toolLatency.observe({ tool: toolName, endpoint: label, outcome: e.code || 'error' }, (Date.now() - startedAt) / 1000)
+      logToolCall(callSid, {
+        agent: currentAgent,
+        toolName,
+        args,
+        endpoint,
+        response: e?.response?.data ?? null,
+        latencyMs: Date.now() - startedAt,
+        error: `${e.code || 'error'} after ${e.attempts ?? 0} attempt(s): ${e?.message || e}`,
+      })
+      throw e
+    }
+  }
 
-      if (toolName === 'determine_route') {
-        if (!ROUTER_ENDPOINT) {
-          console.error('[Tool] ROUTER_ENDPOINT not configured')
-          return
-        }
+  // The model would otherwise wait forever for this output and the caller would
+  // hear silence: answer with a structured error and apologize out loud.
+  async function handleToolFailure(toolName, callId, err) {
+    const apology = await speakAnswer(
+      'tool_unavailable',
+      { tool: toolName, agent: currentAgent },
+      TOOL_UNAVAILABLE_MESSAGE,
+      callLanguage
+    )
 
-        const resp = await axios.post(
-          ROUTER_ENDPOINT,
-          {
-            ...args,
-            call_sid: callSid,
-            current_agent: currentAgent,
-          },
-          { timeout: 15000 }
-        )
+    sendFunctionCallOutput(callId, {
+      ok: false,
+      error: { code: err.code || 'error', message: err.message, attempts: err.attempts ?? 0 },
+      spoken_apology: apology,
+    })
 
-        const output = resp.data || {}
+    console.log(`[Assistant][${currentAgent}]`, apology)
+    recordTurn('assistant', apology)
+    await speakWithElevenLabs(apology)
+  }
 
-        safeSendOpenAI({
-          type: 'conversation.item.create',
-          item: {
-            type: 'function_call_output',
-            call_id: callId,
-            output: JSON.stringify(output),
-          },
-        })
+  function sendFunctionCallOutput(callId, output) {
+    emitCallEvent({ type: 'tool_result', tool: functionCallMap.get(callId) || null, output })
+    safeSendOpenAI({
+      type: 'conversation.item.create',
+      item: {
+        type: 'function_call_output',
+        call_id: callId,
+        output: JSON.stringify(output),
+      },
+    })
+  }
 
-        // Router should hand off ONLY to items/pickup; others stay router and speak fallback.
-        if (output.intent === 'items') {
-          await handleHandoff({
-            handoff_from: 'router',
-            intent: 'items',
-            question_type: output.question_type || 'specific',
-            question: output.cleaned_question || null,
-          })
-          return
-        }
+  // -------------------------------------------------------------------------
+  // Gateway tools (implemented here, no endpoint). An agent only gets one if
+  // its cl_phone_agents.tools lists it.
+  // -------------------------------------------------------------------------
+  // callId is null when the transfer comes from the keypad menu rather than the model
+  async function transferToHuman(args, callId) {
+    const reason = typeof args.reason === 'string' ? args.reason : null
+
+    function reply(output) {
+      if (!callId) return
+      logToolCall(callSid, { agent: currentAgent, toolName: 'transfer_to_human', args, response: output, latencyMs: 0 })
+      sendFunctionCallOutput(callId, output)
+    }
 
-        if (output.intent === 'pickup') {
-          await handleHandoff({
-            handoff_from: 'router',
-            intent: 'pickup',
-            question_type: output.question_type || 'specific',
-            question: output.cleaned_question || null,
-          })
-          return
-        }
+    if (transport.kind !== 'twilio' || !twilioConfigured() || !callSid) {
+      console.error('[Transfer] Twilio REST not configured or not a Twilio call, cannot transfer', callSid)
+      reply({ ok: false, error: 'transfer_unavailable' })
+      return
+    }
+
+    const plan = planTransfer()
+    reply({ ok: true, status: plan.mode === 'dial' ? 'transferring' : 'voicemail' })
+
+    console.log('[Transfer]', callSid, 'mode=', plan.mode, 'reason=', reason)
+    leavingStream = true
+
+    // We say the hold line ourselves: the stream ends the moment Twilio switches TwiML
+    await speakWithElevenLabs(
+      plan.mode === 'dial'
+        ? await speakAnswer('transfer_hold', {}, TRANSFER_HOLD_MESSAGE, callLanguage)
+        : await speakAnswer('transfer_voicemail', {}, TRANSFER_VOICEMAIL_MESSAGE, callLanguage)
+    )
+
+    try {
+      await executeTransfer(callSid, plan)
+      logTransfer(callSid, { agent: currentAgent, reason, mode: plan.mode, transcript: [...transcript] })
+      endCall('transferred')
+    } catch (e) {
+      leavingStream = false
+      console.error('[Transfer] Twilio call update failed:', e?.response?.data || e?.message || e)
+      logTransfer(callSid, {
+        agent: currentAgent,
+        reason,
+        mode: plan.mode,
+        transcript: [...transcript],
+        error: e?.message || String(e),
+      })
+    }
+  }
+
+  // Digits arrive as Twilio `dtmf` events; the output is sent when the caller
+  // presses #, reaches max_digits, or stops pressing keys for timeout_seconds.
+  function collectDigits(args, callId) {
+    if (digitCollection) finishDigitCollection('superseded')
+
+    const maxDigits = Math.min(Math.max(Number(args.max_digits) || 20, 1), 32)
+    const timeoutMs = Math.min(Math.max(Number(args.timeout_seconds) || 15, 3), 60) * 1000
+
+    digitCollection = { callId, args, digits: '', maxDigits, timeoutMs, timer: null, startedAt: Date.now() }
+    digitCollection.timer = setTimeout(() => finishDigitCollection('timeout'), timeoutMs)
+    console.log('[DTMF] Collecting digits for', callId, 'max=', maxDigits)
+  }
 
-        // For orders/meta/unknown, the router prompt should speak the correct line.
-        // We DO NOT force another response.create here because the model is already in a response.
+  function finishDigitCollection(terminatedBy) {
+    const collection = digitCollection
+    if (!collection) return
+    digitCollection = null
+    clearTimeout(collection.timer)
+
+    const output = { ok: !!collection.digits, digits: collection.digits, terminated_by: terminatedBy }
+    console.log('[DTMF] Collected', JSON.stringify(collection.digits), 'terminated_by=', terminatedBy)
+    logToolCall(callSid, {
+      agent: currentAgent,
+      toolName: 'collect_digits',
+      args: collection.args,
+      response: output,
+      latencyMs: Date.now() - collection.startedAt,
+    })
+    sendFunctionCallOutput(collection.callId, output)
+
+    // The response that called the tool is long over; ask for one that uses the digits
+    if (terminatedBy !== 'superseded') requestResponseCreate('tool-followup')
+  }
+
+  function handleDigitCollection(digit) {
+    const collection = digitCollection
+    if (digit === '#') return finishDigitCollection('#')
+    if (digit === '*') {
+      collection.digits = ''
+    } else {
+      collection.digits += digit
+      if (collection.digits.length >= collection.maxDigits) return finishDigitCollection('max_digits')
+    }
+    clearTimeout(collection.timer)
+    collection.timer = setTimeout(() => finishDigitCollection('timeout'), collection.timeoutMs)
+  }
+
+  // -------------------------------------------------------------------------
+  // DTMF (Twilio `dtmf` events): digit collection first, otherwise the keypad menu
+  // -------------------------------------------------------------------------
+  async function handleDtmf(digit) {
+    if (!digit || leavingStream) return
+    console.log('[DTMF] Caller pressed', digit)
+    repromptsSent = 0
+    noteActivity()
+
+    // A key press is as good as speech for interrupting playback
+    if (isPlaybackInterruptible()) interruptPlayback()
+
+    if (digitCollection) {
+      handleDigitCollection(digit)
+      return
+    }
+
+    const action = DTMF_MENU_MAP[digit]
+    if (!action) return
+
+    if (action === 'transfer') {
+      await transferToHuman({ reason: `caller pressed ${digit} on the keypad` }, null)
+      return
+    }
+
+    if (action.startsWith('lang:')) {
+      const language = normalizeLanguage(action.slice(5))
+      if (!language || !switchLanguage(language, 'keypad')) return
+
+      // The language's own greeting if there is one, else let the agent greet in it
+      if (greetingFor(language)) {
+        await playGreeting()
         return
       }
+      sendCallerNote(`(The caller pressed ${digit} on the keypad to continue in ${languageName(language)}.)`, 'language')
+      return
+    }
 
-      if (toolName === 'search_items') {
-        if (!ITEM_SEARCH_ENDPOINT) {
-          console.error('[Tool] ITEM_SEARCH_ENDPOINT not configured')
-          return
-        }
+    if (action === currentAgent || !getAgent(action)) return
+    await handleHandoff({
+      handoff_from: currentAgent,
+      intent: action,
+      question_type: 'menu',
+      question: `(The caller pressed ${digit} on the keypad to reach the ${action} department.)`,
+    })
+  }
 
-        const resp = await axios.post(
-          ITEM_SEARCH_ENDPOINT,
-          { ...args, call_sid: callSid },
-          { timeout: 15000 }
-        )
+  // Says an approved answer_templates line verbatim (no LLM paraphrase), e.g. kashrus disclaimers
+  async function speakTemplate(args, callId) {
+    const key = typeof args.key === 'string' ? args.key : ''
+    const params = args.params && typeof args.params === 'object' ? args.params : {}
 
-        const output = resp.data || {}
+    if (!hasAnswerTemplate(key)) {
+      console.warn('[Tool] speak_template unknown key:', key)
+      const output = { ok: false, error: 'unknown_template' }
+      logToolCall(callSid, { agent: currentAgent, toolName: 'speak_template', args, response: output, latencyMs: 0 })
+      sendFunctionCallOutput(callId, output)
+      return
+    }
 
-        safeSendOpenAI({
-          type: 'conversation.item.create',
-          item: {
-            type: 'function_call_output',
-            call_id: callId,
-            output: JSON.stringify(output),
-          },
-        })
+    const text = await speakAnswer(key, params, undefined, callLanguage)
+    const output = { ok: true, spoken: true, text }
+    logToolCall(callSid, { agent: currentAgent, toolName: 'speak_template', args, response: output, latencyMs: 0 })
+    sendFunctionCallOutput(callId, output)
 
-        // IMPORTANT:
-        // Do NOT send response.create here.
-        // The OpenAI response that requested the tool is still active; sending response.create causes
-        // "conversation_already_has_active_response".
-        return
+    console.log(`[Assistant][${currentAgent}][template:${key}]`, text)
+    recordTurn('assistant', text)
+    await speakWithElevenLabs(text)
+  }
+
+  // Texts the caller a location from this call's last search_pickup_locations
+  // result. Only with the caller's spoken yes (caller_agreed), and each text once.
+  async function sendPickupSms(args, callId) {
+    const startedAt = Date.now()
+    function reply(output, error = null) {
+      logToolCall(callSid, {
+        agent: currentAgent,
+        toolName: 'send_sms',
+        args,
+        response: output,
+        latencyMs: Date.now() - startedAt,
+        error,
+      })
+      sendFunctionCallOutput(callId, output)
+    }
+
+    if (args.caller_agreed !== true) return reply({ ok: false, error: 'consent_required' })
+    if (!E164_NUMBER.test(callerNumber || '')) return reply({ ok: false, error: 'no_caller_number' })
+    // The dialed number can only send texts through Twilio if it is a Twilio number
+    const from = SMS_FROM_NUMBER || (transport.kind === 'twilio' ? calledNumber : null)
+    if (!twilioConfigured() || !from) return reply({ ok: false, error: 'sms_unavailable' })
+
+    const wanted = typeof args.location_name === 'string' ? args.location_name.trim().toLowerCase() : ''
+    const location = wanted
+      ? pickupLocations.find((l) => l.name.toLowerCase().includes(wanted))
+      : pickupLocations.length === 1 && pickupLocations[0]
+    if (!location) {
+      const error = !pickupLocations.length ? 'no_pickup_details' : wanted ? 'unknown_location' : 'location_required'
+      return reply({ ok: false, error, locations: pickupLocations.map((l) => l.name) })
+    }
+
+    const body = hasAnswerTemplate('pickup_sms')
+      ? await speakAnswer('pickup_sms', { location }, '', callLanguage)
+      : renderTemplate(PICKUP_SMS_TEMPLATE, { location }).text
+    const toLastDigits = callerNumber.slice(-4)
+    if (smsSent.has(body)) return reply({ ok: true, already_sent: true, to_last_digits: toLastDigits })
+    if (smsSent.size >= MAX_SMS_PER_CALL) return reply({ ok: false, error: 'sms_limit_reached' })
+
+    // Claimed before the request, so a repeated tool call can't send it twice
+    smsSent.set(body, null)
+    const consentUtterance = transcript.findLast((t) => t.role === 'caller')?.text || null
+    try {
+      const message = await sendSms({ to: callerNumber, from, body })
+      smsSent.set(body, message.sid)
+      logSms(callSid, { agent: currentAgent, to: callerNumber, body, sid: message.sid, consentUtterance })
+      console.log('[SMS] Sent', message.sid, 'on', callSid, `(${location.name})`)
+      reply({ ok: true, sent: true, to_last_digits: toLastDigits })
+    } catch (e) {
+      smsSent.delete(body)
+      const error = e?.response?.data?.message || e?.message || String(e)
+      console.error('[SMS] Send failed on', callSid, ':', error)
+      logSms(callSid, { agent: currentAgent, to: callerNumber, body, consentUtterance, error })
+      reply({ ok: false, error: 'sms_failed' }, error)
+    }
+  }
+
+  // Finds orders by order number (spoken or collected with collect_digits), else by
+  // caller ID, and shows the model only those whose last name or zip code the caller
+  // gave (`verification`). The logged output is what the model saw, not the raw orders.
+  async function lookupOrder(args, callId) {
+    const startedAt = Date.now()
+    const agent = getAgent(currentAgent)
+    const endpoint = resolveToolEndpoint(agent, 'lookup_order')
+    const source = endpoint?.url ? endpoint.label : 'cl_orders'
+    function reply(output, error = null) {
+      logToolCall(callSid, {
+        agent: currentAgent,
+        toolName: 'lookup_order',
+        args,
+        endpoint: endpoint?.url || 'cl_orders',
+        response: output,
+        latencyMs: Date.now() - startedAt,
+        error,
+      })
+      sendFunctionCallOutput(callId, output)
+    }
+
+    const orderNumber = normalizeOrderNumber(args.order_number) || null
+    const phone = orderNumber ? null : E164_NUMBER.test(callerNumber || '') ? callerNumber : null
+    if (!orderNumber && !phone) return reply({ ok: false, error: 'order_number_required' })
+    if (orderVerifyFailures >= MAX_ORDER_VERIFY_ATTEMPTS) return reply({ ok: false, error: 'verification_locked' })
+
+    let orders
+    try {
+      orders = endpoint?.url
+        ? ordersFromOutput(
+            await callToolEndpoint(
+              endpoint.url,
+              { order_number: orderNumber, phone, call_sid: callSid, language: callLanguage, ...callerFields() },
+              getToolOptions(agent, 'lookup_order')
+            )
+          )
+        : await findOrdersInTable({ orderNumber, phone })
+      toolLatency.observe({ tool: 'lookup_order', endpoint: source, outcome: 'ok' }, (Date.now() - startedAt) / 1000)
+    } catch (e) {
+      toolLatency.observe({ tool: 'lookup_order', endpoint: source, outcome: e.code || 'error' }, (Date.now() - startedAt) / 1000)
+      logToolCall(callSid, {
+        agent: currentAgent,
+        toolName: 'lookup_order',
+        args,
+        endpoint: endpoint?.url || 'cl_orders',
+        latencyMs: Date.now() - startedAt,
+        error: `${e.code || 'error'} after ${e.attempts ?? 1} attempt(s): ${e?.message || e}`,
+      })
+      await handleToolFailure('lookup_order', callId, e)
+      return
+    }
+
+    const searchedBy = orderNumber ? 'order_number' : 'caller_id'
+    if (!orders.length) return reply({ ok: false, error: 'not_found', searched_by: searchedBy })
+
+    const verification = typeof args.verification === 'string' ? args.verification.trim() : ''
+    const verified = orders.filter(
+      (o) => verifiedOrders.has(o.orderNumber) || (verification && orderIdentityMatches(o, verification))
+    )
+    if (!verified.length) {
+      if (!verification) {
+        return reply({ ok: false, error: 'verification_required', orders_found: orders.length, searched_by: searchedBy })
       }
+      orderVerifyFailures += 1
+      console.warn('[Orders] Verification failed on', callSid, `(${orderVerifyFailures}/${MAX_ORDER_VERIFY_ATTEMPTS})`)
+      const attemptsLeft = MAX_ORDER_VERIFY_ATTEMPTS - orderVerifyFailures
+      return reply({ ok: false, error: attemptsLeft ? 'verification_failed' : 'verification_locked', attempts_left: attemptsLeft })
+    }
 
-      if (toolName === 'search_pickup_locations') {
-        if (!PICKUP_ENDPOINT) {
-          console.error('[Tool] PICKUP_ENDPOINT not configured')
-          return
+    const firstVerified = !verifiedOrders.size
+    for (const order of verified) verifiedOrders.add(order.orderNumber)
+    reply({ ok: true, orders: verified.map(orderDetails) })
+    // Verified now: the instructions may carry the caller's name and pickup location
+    if (firstVerified && callerProfile && !leavingStream) setAgentSession(currentAgent)
+  }
+
+  const gatewayTools = {
+    transfer_to_human: transferToHuman,
+    collect_digits: collectDigits,
+    speak_template: speakTemplate,
+    send_sms: sendPickupSms,
+    lookup_order: lookupOrder,
+  }
+
+  async function handleToolCall(toolName, args, callId) {
+    try {
+      let agent = getAgent(currentAgent)
+
+      // Safety: a hallucinated handoff_to_<agent> goes through the routing tool instead
+      if (toolName.startsWith(HANDOFF_TOOL_PREFIX) && !agentHasTool(agent, toolName)) {
+        const routing = findRoutingTool(agent)
+        if (routing) {
+          agent = routing.agent
+          toolName = routing.toolName
         }
+      }
 
-        const resp = await axios.post(
-          PICKUP_ENDPOINT,
-          { ...args, call_sid: callSid },
-          { timeout: 15000 }
-        )
+      // Direct handoff tools (handoff_to_router, ...) need no endpoint
+      if (toolName.startsWith(HANDOFF_TOOL_PREFIX)) {
+        const target = toolName.slice(HANDOFF_TOOL_PREFIX.length)
+        const allowed = !!agent?.handoffTargets.includes(target) && !!getAgent(target)
+        const output = allowed ? { ok: true } : { ok: false, error: `handoff to ${target} not allowed` }
 
-        const output = resp.data || {}
+        logToolCall(callSid, { agent: currentAgent, toolName, args, response: output, latencyMs: 0 })
+        sendFunctionCallOutput(callId, output)
+        if (!allowed) {
+          console.warn('[Tool] Handoff not allowed:', currentAgent, '->', target)
+          return
+        }
 
-        safeSendOpenAI({
-          type: 'conversation.item.create',
-          item: {
-            type: 'function_call_output',
-            call_id: callId,
-            output: JSON.stringify(output),
-          },
+        await handleHandoff({
+          handoff_from: currentAgent,
+          intent: target,
+          question_type: 'specific',
+          question: typeof args.question === 'string' ? args.question : null,
         })
+        return
+      }
 
-        // Do NOT send response.create here (same reason as above)
+      if (gatewayTools[toolName] && agentHasTool(agent, toolName)) {
+        await gatewayTools[toolName](args, callId)
         return
       }
 
-      if (toolName === 'handoff_to_router') {
-        const cleanedQuestion = typeof args.question === 'string' ? args.question : null
+      const endpoint = resolveToolEndpoint(agent, toolName)
+      // An unknown tool, one without an endpoint, or a gateway tool this agent doesn't
+      // list still gets its function_call_output, or the model waits on it forever
+      if (!endpoint) {
+        console.warn('[Tool] No endpoint for', toolName, 'on agent', currentAgent)
+        const err = Object.assign(new Error(`tool ${toolName} is not configured for this agent`), {
+          code: 'not_configured',
+          attempts: 0,
+        })
+        await handleToolFailure(toolName, callId, err)
+        return
+      }
 
-        safeSendOpenAI({
-          type: 'conversation.item.create',
-          item: {
-            type: 'function_call_output',
-            call_id: callId,
-            output: JSON.stringify({ ok: true }),
-          },
+      let output
+      try {
+        output = await postToolEndpoint(toolName, agent, endpoint, args, {
+          ...args,
+          call_sid: callSid,
+          current_agent: currentAgent,
+          language: callLanguage,
+          ...callerFields(),
         })
+      } catch (e) {
+        await handleToolFailure(toolName, callId, e)
+        return
+      }
 
+      sendFunctionCallOutput(callId, output)
+
+      // Kept for send_sms, which texts the details of one of these
+      if (toolName === 'search_pickup_locations') {
+        const locations = pickupLocationsFrom(output)
+        if (locations.length) pickupLocations = locations
+      }
+
+      // Routing tools hand off ONLY to the agent's allowed targets; other intents
+      // (meta/unknown, or an agent not in handoff_targets) stay put and the prompt
+      // should speak the correct line.
+      if (
+        agent.handoffOnIntent.has(toolName) &&
+        output.intent &&
+        output.intent !== currentAgent &&
+        agent.handoffTargets.includes(output.intent)
+      ) {
         await handleHandoff({
           handoff_from: currentAgent,
-          intent: 'router',
-          question_type: 'specific',
-          question: cleanedQuestion,
+          intent: output.intent,
+          question_type: output.question_type || 'specific',
+          question: output.cleaned_question || null,
         })
-
         return
       }
 
-      console.warn('[Tool] Unknown toolName:', toolName)
+      // IMPORTANT:
+      // Do NOT send response.create here.
+      // The OpenAI response that requested the tool is still active; sending response.create causes
+      // "conversation_already_has_active_response".
     } catch (e) {
       console.error('[Tool] Error in handleToolCall', toolName, e?.response?.data || e)
     }
@@ -608,15 +1957,27 @@ wss.on('connection', async (twilioWs, req) => {
   // -------------------------------------------------------------------------
   // OpenAI WS events
   // -------------------------------------------------------------------------
-  openaiWs.on('open', () => {
+  function onOpenAIOpen() {
     console.log('[OpenAI] Connected')
     openaiReady = true
 
-    // Always start on Router instructions (router should NOT greet; greeting is your .ulaw file)
-    setRouterSession()
-  })
+    // Start on the call's agent: the entry agent, or an outbound campaign's agent.
+    // It should NOT greet; greeting is your .ulaw file (or the reminder below).
+    const first = getAgent(currentAgent) || getEntryAgent()
+    if (!first || !setAgentSession(first.key)) {
+      console.error('[Agents] No entry agent available, ending call')
+      transport.close()
+      return
+    }
+    if (openingMessage) sendAssistantItem(openingMessage)
+    if (pendingCallerNote) {
+      const { text, reason } = pendingCallerNote
+      pendingCallerNote = null
+      sendCallerNote(text, reason)
+    }
+  }
 
-  openaiWs.on('message', async (raw) => {
+  async function onOpenAIMessage(raw) {
     let event
     try {
       event = JSON.parse(raw.toString())
@@ -625,28 +1986,61 @@ wss.on('connection', async (twilioWs, req) => {
     }
 
     switch (event.type) {
+      // Barge-in: caller started talking over the greeting/TTS
+      case 'input_audio_buffer.speech_started': {
+        callerSpeaking = true
+        repromptsSent = 0
+        noteActivity()
+        if (isPlaybackInterruptible()) interruptPlayback()
+        break
+      }
+
       // Gate: only answer after caller finished speaking
       case 'input_audio_buffer.speech_stopped': {
-        // Ignore if we are currently playing greeting or speaking TTS
-        if (isAssistantSpeaking || isGreetingPlaying) break
+        callerSpeaking = false
+        noteActivity()
+        // Ignore if we are currently playing greeting or speaking TTS, or leaving the stream
+        if (isAssistantSpeaking || isGreetingPlaying || leavingStream) break
+        speechStoppedAt = Date.now()
         requestResponseCreate('vad')
         break
       }
 
+      // Caller speech transcribed by OpenAI (input_audio_transcription)
+      case 'conversation.item.input_audio_transcription.completed': {
+        const text = (event.transcript || '').trim()
+        if (text) recordTurn('caller', text)
+        if (text && !languageDecided) handleDetectedLanguage(text)
+        break
+      }
+
       case 'response.created': {
         responseInProgress = true
+        responseCancelled = false
         assistantTranscript = ''
         assistantText = ''
+        ttsStream = null
         break
       }
 
       case 'response.audio.delta': {
-        // ignored; we use ElevenLabs
+        // Not played (we use ElevenLabs); only its length matters, for truncate on barge-in
+        if (typeof event.delta === 'string') assistantAudioBytes += Buffer.byteLength(event.delta, 'base64')
+        if (playbackItemId && playbackItemId === assistantItemId) {
+          playbackItemAudioMs = Math.floor(assistantAudioBytes / 8)
+        }
         break
       }
 
       case 'response.audio_transcript.delta': {
-        if (typeof event.delta === 'string') assistantTranscript += event.delta
+        if (typeof event.delta !== 'string') break
+        assistantTranscript += event.delta
+
+        // Stream mode: start speaking before the response is done
+        if (ELEVENLABS_TTS_MODE !== 'buffered' && lastResponseIntent && !responseCancelled && !leavingStream) {
+          if (!ttsStream) ttsStream = startElevenLabsStream()
+          ttsStream?.pushText(event.delta)
+        }
         break
       }
 
@@ -657,6 +2051,10 @@ wss.on('connection', async (twilioWs, req) => {
 
       case 'response.output_item.added': {
         const item = event.item
+        if (item?.type === 'message' && item.id) {
+          assistantItemId = item.id
+          assistantAudioBytes = 0
+        }
         if (item?.type === 'function_call') {
           if (item.call_id && item.name) {
             functionCallMap.set(item.call_id, item.name)
@@ -678,7 +2076,15 @@ wss.on('connection', async (twilioWs, req) => {
           console.error('[Tool] Failed to parse arguments JSON:', e, event.arguments)
         }
 
-        await handleToolCall(toolName, args, callId)
+        emitCallEvent({ type: 'tool_call', tool: toolName, args, agent: currentAgent })
+        toolsUsed.add(toolName)
+        toolCallsInFlight += 1
+        try {
+          await handleToolCall(toolName, args, callId)
+        } finally {
+          toolCallsInFlight -= 1
+          noteActivity()
+        }
         break
       }
 
@@ -686,29 +2092,53 @@ wss.on('connection', async (twilioWs, req) => {
         responseInProgress = false
 
         // If we queued a response.create during an active response, send it now.
+        const queuedNext = pendingResponseCreate
         if (pendingResponseCreate) {
           pendingResponseCreate = false
           requestResponseCreate(lastResponseIntent || 'vad')
         }
 
+        // Cancelled by barge-in: the caller never wanted to hear this (even if it
+        // completed before our response.cancel got there)
+        if (event.response?.status === 'cancelled' || responseCancelled) {
+          responseCancelled = false
+          // ...but the response queued behind it (e.g. a language switch) still speaks
+          if (!queuedNext) lastResponseIntent = null
+          ttsStream?.close()
+          ttsStream = null
+          break
+        }
+
         const textToSpeak = (assistantTranscript || assistantText || '').trim()
 
         // Only speak if we have real content AND we were triggered by user speech/handoff.
         if (!textToSpeak) break
         if (!lastResponseIntent) break
+        if (leavingStream) break
+
+        // Reset so we don’t speak “extra” followups unless another VAD stop/handoff happens.
+        // Done before speaking: a barge-in during playback may already request the next answer.
+        lastResponseIntent = null
 
         // Extra guard: router sometimes tries to say identity/meta immediately; let it speak normally.
         console.log(`[Assistant][${currentAgent}]`, textToSpeak)
-        await speakWithElevenLabs(textToSpeak)
+        recordTurn('assistant', textToSpeak)
 
-        // Reset so we don’t speak “extra” followups unless another VAD stop/handoff happens.
-        lastResponseIntent = null
+        // Stream mode already has most of the audio on the way; just end its input
+        if (ttsStream) {
+          ttsStream.finish()
+          ttsStream = null
+          break
+        }
+
+        await speakWithElevenLabs(textToSpeak)
         break
       }
 
       case 'error': {
         // Do not crash; log and keep going
         console.error('[OpenAI error event]', event)
+        openaiErrors.inc({ code: event.error?.code || event.error?.type || 'unknown' })
         // If the error is active_response, we rely on our queueing; nothing else needed here.
         break
       }
@@ -716,77 +2146,228 @@ wss.on('connection', async (twilioWs, req) => {
       default:
         break
     }
-  })
+  }
 
-  openaiWs.on('close', () => {
+  function onOpenAIClose() {
     console.log('[OpenAI] Socket closed')
+    endCall('openai_closed')
     try {
-      twilioWs.close()
+      transport.close()
     } catch {}
-  })
+  }
 
-  openaiWs.on('error', (err) => {
+  function onOpenAIError(err) {
     console.error('[OpenAI] WS Error:', err)
+    endCall('openai_error')
     try {
-      twilioWs.close()
+      transport.close()
     } catch {}
-  })
+  }
 
   // -------------------------------------------------------------------------
-  // Twilio WS events
+  // Media stream events (transports.js)
   // -------------------------------------------------------------------------
-  twilioWs.on('message', async (raw) => {
-    let msg
-    try {
-      msg = JSON.parse(raw.toString())
-    } catch {
-      return
-    }
+  // Nothing is spent on a stream until its start event proves it came from a voice
+  // webhook (or, for a browser, carries the test-call secret)
+  let streamAuthorized = false
+  let registryKey = null // callRegistry.js key, set on start
+  const startTimer = setTimeout(() => rejectStream('no_start', null), STREAM_START_TIMEOUT_MS)
+
+  function rejectStream(reason, sid) {
+    clearTimeout(startTimer)
+    console.warn('[Auth] Rejected media stream', sid || '(no callSid)', 'reason=', reason)
+    authRejections.inc({ kind: 'stream', reason })
+    transport.close()
+  }
 
-    if (msg.event === 'start') {
-      callSid = msg.start?.callSid || null
-      streamSid = msg.start?.streamSid || null
-      console.log('[Twilio] Stream Started:', callSid, 'streamSid=', streamSid)
+  ws.on('message', async (raw, isBinary) => {
+    const msg = transport.parse(raw, isBinary)
+    if (!msg) return
+
+    if (msg.type === 'start') {
+      if (streamAuthorized) return
+
+      // The browser transport checks its own secret; phone calls bring the voice webhook's token
+      const auth =
+        msg.auth ||
+        (STREAM_AUTH_REQUIRED === 'false'
+          ? { ok: true, params: msg.customParameters }
+          : verifyStreamToken({ callSid: msg.callId, customParameters: msg.customParameters }))
+      if (!auth.ok) {
+        rejectStream(auth.reason, msg.callId)
+        return
+      }
 
-      // Play greeting immediately; OpenAI boots in parallel.
-      if (GREETING_FRAMES_B64?.length) {
+      clearTimeout(startTimer)
+      streamAuthorized = true
+      activeCalls.inc()
+      connectOpenAI()
+      startCallTimers()
+
+      callSid = msg.callId || null
+      streamSid = msg.streamId || null
+      callerNumber = auth.params.from || null
+      calledNumber = auth.params.to || null
+      registryKey = callSid || streamSid || `stream-${Date.now()}`
+      registerCall(registryKey, {
+        streamSid,
+        transport: transport.kind,
+        callerNumber,
+        agent: () => currentAgent,
+        language: () => callLanguage,
+        transcript: () => transcript,
+        hangUp: hangUpWithGoodbye,
+        close: closeCall,
+        handoff: forceHandoff,
+        say: injectMessage,
+      })
+      console.log(`[Stream] Started (${transport.kind}):`, callSid, 'streamSid=', streamSid)
+
+      // language parameter, e.g. from a language-specific number (/voice?language=yi)
+      const language = normalizeLanguage(auth.params.language)
+      if (language) {
+        callLanguage = language
+        languageDecided = true
+      }
+
+      // Outbound reminder (/outbound/answer): start on the campaign's agent
+      const outbound = auth.params.outbound ? getOutboundRecipient(auth.params.outbound) : null
+      if (auth.params.outbound && !outbound) console.warn('[Outbound] Unknown recipient', auth.params.outbound)
+      if (outbound && getAgent(outbound.agent)) currentAgent = outbound.agent
+      // Browser test calls can pick the agent to talk to
+      if (auth.params.agent) {
+        if (getAgent(auth.params.agent)) currentAgent = auth.params.agent
+        else console.warn('[Agents] Unknown agent requested:', auth.params.agent)
+      }
+      logCallStarted(callSid, {
+        streamSid,
+        transport: transport.kind,
+        agent: currentAgent,
+        language: callLanguage,
+        callerNumber,
+        agentEnv: agentEnv(),
+      })
+
+      if (callerNumber) recognizeCaller(callerNumber).catch((e) => console.error('[Caller] Recognition error:', e))
+
+      if (callSid && shouldRecord({ from: auth.params.from, to: auth.params.to })) {
+        console.log('[Recording] Recording call', callSid)
+        recorder = createCallRecorder(callSid)
+      }
+
+      // Play greeting (or the reminder) immediately; OpenAI boots in parallel.
+      if (outbound) {
+        speakReminder(outbound).catch((e) => console.error('[Outbound] Reminder error:', e))
+      } else if (greetingFor(callLanguage) || greetingFor(DEFAULT_LANGUAGE)) {
         playGreeting().catch((e) => console.error('[Greeting] playGreeting error:', e))
       }
       return
     }
 
-    if (msg.event === 'media') {
-      // No-barge-in: drop user audio while we are playing greeting or speaking TTS
-      if (isAssistantSpeaking || isGreetingPlaying) return
+    if (!streamAuthorized) return
+
+    if (msg.type === 'media') {
+      recorder?.addInbound(msg.payload, msg.timestamp)
+
+      // Drop user audio while greeting/TTS is playing, unless the playback is
+      // interruptible: then OpenAI VAD needs the audio to detect barge-in.
+      if ((isAssistantSpeaking || isGreetingPlaying) && !isPlaybackInterruptible()) return
       if (!openaiReady) return
 
       safeSendOpenAI({
         type: 'input_audio_buffer.append',
-        audio: msg.media.payload,
+        audio: msg.payload,
       })
       return
     }
 
-    if (msg.event === 'stop') {
-      console.log('[Twilio] Call ended', callSid)
+    if (msg.type === 'dtmf') {
+      await handleDtmf(msg.digit)
+      return
+    }
+
+    if (msg.type === 'stop') {
+      console.log(`[Stream] Call ended (${transport.kind})`, callSid)
+      endCall(`${transport.kind}_stop`)
       try {
-        openaiWs.close()
+        openaiWs?.close()
       } catch {}
       return
     }
   })
 
-  twilioWs.on('close', () => {
-    console.log('[WS] Twilio websocket closed')
+  ws.on('close', () => {
+    console.log(`[WS] ${transport.kind} websocket closed`)
+    clearTimeout(startTimer)
+    clearInterval(silenceTimer)
+    clearTimeout(maxDurationTimer)
+    if (streamAuthorized) activeCalls.dec()
+    if (registryKey) unregisterCall(registryKey)
+    recorder?.finish()
+    if (digitCollection) clearTimeout(digitCollection.timer)
+    endCall(`${transport.kind}_ws_closed`)
+    for (const stream of activeTtsStreams) stream.close()
     try {
-      openaiWs.close()
+      openaiWs?.close()
     } catch {}
   })
 
-  twilioWs.on('error', (err) => {
-    console.error('[WS] Twilio WS Error:', err)
+  ws.on('error', (err) => {
+    console.error(`[WS] ${transport.kind} WS Error:`, err)
+    endCall(`${transport.kind}_ws_error`)
     try {
-      openaiWs.close()
+      openaiWs?.close()
     } catch {}
   })
 })
+
+// ---------------------------------------------------------------------------
+// 5. GRACEFUL SHUTDOWN (Render sends SIGTERM on deploy)
+// ---------------------------------------------------------------------------
+// Stop taking calls (/readyz fails, /voice answers 503, new streams are closed,
+// no more outbound dials), give active calls SHUTDOWN_DRAIN_S to finish, say
+// SHUTDOWN_MESSAGE to whoever is still on, drop the rest, flush the call log and exit.
+// A second signal exits right away.
+
+async function shutdown(signal) {
+  if (shuttingDown) {
+    console.warn(`[Shutdown] ${signal} again, exiting now`)
+    process.exit(1)
+  }
+  shuttingDown = true
+  pauseOutbound()
+
+  const drainS = Math.max(0, Number(SHUTDOWN_DRAIN_S) || 0)
+  console.log(`[Shutdown] ${signal}: ${activeCallCount()} active call(s), draining for up to ${drainS}s`)
+
+  if (!(await waitForNoCalls(drainS * 1000)) && SHUTDOWN_GOODBYE !== 'false') {
+    console.log(`[Shutdown] Saying goodbye to ${activeCallCount()} call(s)`)
+    for (const call of listCalls()) {
+      call.hangUp('shutdown', 'shutdown_goodbye', SHUTDOWN_MESSAGE).catch((e) => console.error('[Shutdown] Goodbye failed:', e))
+    }
+    await waitForNoCalls(SHUTDOWN_GOODBYE_TIMEOUT_MS)
+  }
+
+  for (const call of listCalls()) {
+    console.warn('[Shutdown] Dropping call', call.callSid)
+    call.close('shutdown')
+  }
+
+  wss.close()
+  httpServer.close()
+  httpServer.closeAllConnections()
+  await waitForRecordings()
+  await flushCallLog()
+  await flushCallLog() // anything queued while the first flush was running
+  console.log('[Shutdown] Done')
+  process.exit(0)
+}
+
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.on(signal, () => {
+    shutdown(signal).catch((e) => {
+      console.error('[Shutdown] Error:', e)
+      process.exit(1)
+    })
+  })
+}
@@ -0,0 +1,101 @@
+// sim/audio.js
+// Caller audio for the simulator: raw .ulaw, or .wav in µ-law or PCM16 (8 kHz mono).
+
+import fs from 'fs'
+
+export const FRAME_SIZE = 160 // 20 ms @ 8kHz µ-law
+export const ULAW_SILENCE = 0xff
+
+// G.711 µ-law encode of one signed 16-bit sample
+function linearToUlaw(sample) {
+  const BIAS = 0x84
+  const CLIP = 32635
+  const sign = sample < 0 ? 0x80 : 0
+  let s = Math.min(Math.abs(sample), CLIP) + BIAS
+  let exponent = 7
+  for (let mask = 0x4000; (s & mask) === 0 && exponent > 0; mask >>= 1) exponent -= 1
+  const mantissa = (s >> (exponent + 3)) & 0x0f
+  return ~(sign | (exponent << 4) | mantissa) & 0xff
+}
+
+export function parseWav(buf) {
+  if (buf.toString('ascii', 0, 4) !== 'RIFF' || buf.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('not a RIFF/WAVE file')
+  }
+  let fmt = null
+  let data = null
+  for (let off = 12; off + 8 <= buf.length; ) {
+    const id = buf.toString('ascii', off, off + 4)
+    const size = buf.readUInt32LE(off + 4)
+    const body = buf.subarray(off + 8, off + 8 + size)
+    if (id === 'fmt ') {
+      fmt = {
+        format: body.readUInt16LE(0),
+        channels: body.readUInt16LE(2),
+        sampleRate: body.readUInt32LE(4),
+        bitsPerSample: body.readUInt16LE(14),
+      }
+    }
+    if (id === 'data') data = body
+    off += 8 + size + (size % 2)
+  }
+  if (!fmt || !data) throw new Error('WAV is missing fmt or data chunk')
+  return { ...fmt, data }
+}
+
+export function readCallerAudio(file) {
+  const buf = fs.readFileSync(file)
+  if (!file.toLowerCase().endsWith('.wav')) return buf // raw µ-law
+
+  const wav = parseWav(buf)
+  if (wav.sampleRate !== 8000 || wav.channels !== 1) {
+    throw new Error(`${file}: need 8 kHz mono, got ${wav.sampleRate} Hz x${wav.channels}`)
+  }
+  if (wav.format === 7) return wav.data // already µ-law
+  if (wav.format === 1 && wav.bitsPerSample === 16) {
+    const out = Buffer.alloc(wav.data.length / 2)
+    for (let i = 0; i < out.length; i++) out[i] = linearToUlaw(wav.data.readInt16LE(i * 2))
+    return out
+  }
+  throw new Error(`${file}: unsupported WAV format ${wav.format}/${wav.bitsPerSample}-bit`)
+}
+
+export function silence(ms) {
+  return Buffer.alloc(Math.round(ms * 8), ULAW_SILENCE)
+}
+
+// Audible caller audio for recordings: a sine at `hz`, half scale
+export function tone(ms, hz = 440) {
+  const out = Buffer.alloc(Math.round(ms * 8))
+  for (let i = 0; i < out.length; i++) out[i] = linearToUlaw(Math.round(16000 * Math.sin((2 * Math.PI * hz * i) / 8000)))
+  return out
+}
+
+// A 16-bit PCM WAV of a sine at `hz`, at any rate and channel count (greeting uploads)
+export function pcmWav({ rate = 8000, channels = 1, ms = 500, hz = 440, bits = 16 }) {
+  const frames = Math.round((ms * rate) / 1000)
+  const bytes = bits / 8
+  const data = Buffer.alloc(frames * channels * bytes)
+  for (let i = 0; i < frames; i++) {
+    const sample = Math.round(16000 * Math.sin((2 * Math.PI * hz * i) / rate))
+    for (let ch = 0; ch < channels; ch++) {
+      const off = (i * channels + ch) * bytes
+      if (bytes === 2) data.writeInt16LE(sample, off)
+      else data.writeUInt8((sample >> 8) + 128, off)
+    }
+  }
+  const header = Buffer.alloc(44)
+  header.write('RIFF', 0, 'ascii')
+  header.writeUInt32LE(36 + data.length, 4)
+  header.write('WAVEfmt ', 8, 'ascii')
+  header.writeUInt32LE(16, 16)
+  header.writeUInt16LE(1, 20)
+  header.writeUInt16LE(channels, 22)
+  header.writeUInt32LE(rate, 24)
+  header.writeUInt32LE(rate * channels * bytes, 28)
+  header.writeUInt16LE(channels * bytes, 32)
+  header.writeUInt16LE(bits, 34)
+  header.write('data', 36, 'ascii')
+  header.writeUInt32LE(data.length, 40)
+  return Buffer.concat([header, data])
+}
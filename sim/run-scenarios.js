@@ -0,0 +1,543 @@
+// sim/run-scenarios.js
+// End-to-end regression tests with no network: for each sim/scenarios/*.json,
+// start the stand-in servers (sim/stubs.js), boot server.js pointed at them,
+// place a fake Twilio call (sim/twilioClient.js) and check what happened.
+//
+//   node sim/run-scenarios.js [--verbose] [name-filter]
+//
+// Scenario format:
+//   name, description
+//   env            extra gateway env (e.g. { "ELEVENLABS_TTS_MODE": "buffered" })
+//   greeting_ms    length of a generated silent greeting (default: no greeting)
+//   caller         { "dtmf": [{ "atMs": 500, "digit": "1" }], "voice_query": { "language": "yi" },
+//                    "audio_ms": 500 (a tone at the start of the call instead of silence),
+//                    "voice_webhook": false (skip POST /voice: the stream has no token),
+//                    "customParameters": {} (added to the ones /voice returned),
+//                    "transport": "telnyx" (POST /telnyx/voice, then /telnyx-stream) or
+//                    "browser" (/browser-stream, no webhook), default "twilio",
+//                    "browser": {...} (the browser start message; secret defaults to the sim's) }
+//   outbound       { "request": {...POST /outbound body}, "dials": ["no-answer", "answer"] }
+//                  places the call through POST /outbound instead of /voice: each dial the
+//                  gateway makes ends with the listed status; the last one, "answer", is the call
+//   db             Supabase tables served to the gateway (cl_phone_agents defaults to sim/fixtures/agents.json)
+//   db_delay_ms    { table: ms } slow Supabase reads
+//   openai_connect_delay_ms  how long the OpenAI Realtime handshake takes (default 0)
+//   storage_files  Supabase Storage objects by "bucket/path": { "wav": { "rate", "channels", "ms", "hz", "bits" } }
+//                  (a PCM sine, see sim/audio.js pcmWav) or { "text": "..." } (the bytes as is)
+//   endpoints      tool endpoint responses by name (router, items, pickup, orders):
+//                  { "status": 200, "delay_ms": 0, "body": {...} }, or a list of those, one per call
+//   openai         script for the fake OpenAI Realtime socket, run step by step:
+//                    { "wait": "<client event type>", "match": {...subset}, "timeout_ms": 5000 }
+//                    { "wait": "audio", "ms": 400 }          caller audio received so far
+//                    { "sleep": 200 }
+//                    { "send": "speech" }                    speech_started, then speech_stopped
+//                    { "send": "speech_started" } / { "send": "speech_stopped" }
+//                    { "send": "transcription", "text": "..." }
+//                    { "send": "response", "text": "...", "hold_done": false,
+//                      "hold_cancel": false }               true: response.cancel gets no response.done
+//                                                            until a { "send": "done", "status": "cancelled" }
+//                    { "send": "tool_call", "name": "...", "arguments": {...}, "hold_done": false }
+//                    { "send": "done" }                      response.done for a held response
+//                    { "send": "event", "event": {...} }     anything else, verbatim
+//                    { "signal": "SIGTERM" }                 sent to the gateway process
+//                    { "http": {...} }                       gateway request, checked like expect.http;
+//                                                            "background": true checks it after the call
+//                                                            instead of waiting (e.g. an SSE feed)
+//   settle_ms      how long the call stays up after the script ends (default 1500)
+//   expect
+//     agents           agent keys in session.update order, e.g. ["router", "items"]
+//     tool_requests    [{ "name": "router", "body": {...subset} }] in order
+//     tts_texts        synthesized utterances in order (exact, trimmed)
+//     tts_counts       { "<utterance>": how many times it was synthesized }
+//     tts_voices       ElevenLabs voice ids used, in order
+//     tts_requests     [{ "voice", "model", "voice_settings": {...subset}, "text" }] in order
+//     openai_sent      { "<client event type>": exact count }
+//     openai_match     [{...subset of a client event}] in order
+//     twilio           { "min_media_ms", "max_media_ms", "clear" }
+//     twilio_requests  [{ "path": "substring", "params": {...subset} }] in order
+//     db               { table: [{...subset}] } rows that must have been written
+//     http             gateway requests made after the call, checked in order:
+//                      [{ "method": "GET", "path": "/metrics", "headers": {}, "body": "...", "timeout_ms": 5000,
+//                         "status": 200, "contains": ["substring"], "json": {...subset} }]
+//                      "body_bytes": n sends n bytes of "x" as the body; "abort_body": true sends the
+//                      headers and half the body, then drops the connection ("status" is what the gateway
+//                      answered before that, or null); "twilio_signed": true signs a form body the way
+//                      Twilio signs its webhooks
+//     exit_code        the gateway must exit by itself (e.g. after SIGTERM) with this code
+//     storage          [{ "bucket", "path": "substring", "content_type",
+//                         "wav": { "channels": 2, "left_audio_ms": [min, max], "right_audio_ms": [min, max] } }]
+//                      Supabase Storage uploads in order; *_audio_ms counts non-silent audio per channel
+//     storage_count    exact number of Storage uploads
+//     storage_removals [{ "bucket", "paths": [...] }] in order
+// Every scenario also fails on protocol violations (response.create during an
+// active response) and on script steps that time out.
+
+import { spawn } from 'child_process'
+import crypto from 'crypto'
+import fs from 'fs'
+import net from 'net'
+import os from 'os'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { createStubServer, matches } from './stubs.js'
+import { twilioSignature } from '../twilio.js'
+import { parseWav, silence, tone } from './audio.js'
+import {
+  fetchStreamParameters,
+  fetchTelnyxStreamParameters,
+  postTwilioWebhook,
+  runCall,
+  streamParametersFromTwiml,
+} from './twilioClient.js'
+
+const SIM_DIR = path.dirname(fileURLToPath(import.meta.url))
+const ROOT = path.resolve(SIM_DIR, '..')
+
+// Signs the simulated Telnyx webhooks; the gateway gets the raw public key
+const TELNYX_KEYS = crypto.generateKeyPairSync('ed25519')
+const TELNYX_PUBLIC_KEY = TELNYX_KEYS.publicKey.export({ format: 'der', type: 'spki' }).subarray(-32).toString('base64')
+const DEFAULT_AGENTS = JSON.parse(fs.readFileSync(path.join(SIM_DIR, 'fixtures', 'agents.json'), 'utf8'))
+
+const argv = process.argv.slice(2)
+const verbose = argv.includes('--verbose')
+const filter = argv.find((a) => !a.startsWith('--'))
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms))
+
+// ---------------------------------------------------------------------------
+// Gateway process
+// ---------------------------------------------------------------------------
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer()
+    srv.once('error', reject)
+    srv.listen(0, '127.0.0.1', () => {
+      const { port } = srv.address()
+      srv.close(() => resolve(port))
+    })
+  })
+}
+
+async function startGateway(scenario, stubUrl, tmpDir) {
+  const port = await freePort()
+  const env = {
+    PATH: process.env.PATH,
+    PORT: String(port),
+    OPENAI_API_KEY: 'sk-sim',
+    OPENAI_REALTIME_URL: `${stubUrl.replace(/^http/, 'ws')}/v1/realtime`,
+    ELEVENLABS_API_KEY: 'xi-sim',
+    ELEVENLABS_VOICE_ID: 'voice-sim',
+    ELEVENLABS_API_BASE: stubUrl,
+    SUPABASE_URL: stubUrl,
+    SUPABASE_SERVICE_ROLE_KEY: 'service-role-sim',
+    TWILIO_API_BASE: stubUrl,
+    TWILIO_ACCOUNT_SID: 'ACsimulator',
+    TWILIO_AUTH_TOKEN: 'twilio-sim',
+    OUTBOUND_FROM_NUMBER: '+15555550199',
+    OUTBOUND_API_SECRET: 'outbound-sim',
+    TELNYX_PUBLIC_KEY,
+    BROWSER_CALL_SECRET: 'browser-sim',
+    ROUTER_ENDPOINT: `${stubUrl}/tools/router`,
+    ITEM_SEARCH_ENDPOINT: `${stubUrl}/tools/items`,
+    PICKUP_ENDPOINT: `${stubUrl}/tools/pickup`,
+    ORDER_LOOKUP_ENDPOINT: `${stubUrl}/tools/orders`,
+    GREETING_FILE: path.join(tmpDir, 'greeting.ulaw'),
+    TTS_PREWARM: 'false', // keeps tts_texts to what the call said; tts-cache.json turns it on
+    ...(scenario.env || {}),
+  }
+
+  if (scenario.greeting_ms) fs.writeFileSync(env.GREETING_FILE, silence(scenario.greeting_ms))
+
+  const child = spawn(process.execPath, ['server.js'], { cwd: ROOT, env, stdio: ['ignore', 'pipe', 'pipe'] })
+  const logs = []
+  const onData = (chunk) => {
+    const text = chunk.toString()
+    logs.push(text)
+    if (verbose) process.stdout.write(text.replace(/^/gm, '    | '))
+  }
+  child.stdout.on('data', onData)
+  child.stderr.on('data', onData)
+
+  const deadline = Date.now() + 10000
+  while (!logs.join('').includes('[server] Listening')) {
+    if (child.exitCode !== null) throw new Error(`gateway exited early:\n${logs.join('')}`)
+    if (Date.now() > deadline) throw new Error(`gateway did not start:\n${logs.join('')}`)
+    await sleep(50)
+  }
+
+  const exited = new Promise((r) => child.once('exit', (code) => r(code)))
+
+  async function stop() {
+    if (child.exitCode !== null) return
+    child.kill('SIGTERM')
+    const timer = setTimeout(() => child.kill('SIGKILL'), 10000)
+    await exited
+    clearTimeout(timer)
+  }
+
+  return {
+    wsUrl: `ws://127.0.0.1:${port}`,
+    httpUrl: `http://127.0.0.1:${port}`,
+    logs,
+    stop,
+    signal: (name) => child.kill(name),
+    // Exit code, or null if the gateway is still running after `ms`
+    waitForExit: (ms) => Promise.race([exited, sleep(ms).then(() => null)]),
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Expectations
+// ---------------------------------------------------------------------------
+
+// Every `expected` item appears in `actual`, in order
+function inOrder(actual, expected, same) {
+  let i = 0
+  for (const item of actual) {
+    if (i < expected.length && same(item, expected[i])) i += 1
+  }
+  return i === expected.length ? null : expected[i]
+}
+
+// Non-silent ms per channel of a 16-bit PCM WAV
+function wavAudioMs(body) {
+  const wav = parseWav(body)
+  const audible = new Array(wav.channels).fill(0)
+  for (let off = 0; off + 2 * wav.channels <= wav.data.length; off += 2 * wav.channels) {
+    for (let ch = 0; ch < wav.channels; ch++) {
+      if (Math.abs(wav.data.readInt16LE(off + ch * 2)) > 64) audible[ch] += 1
+    }
+  }
+  return { ...wav, audioMs: audible.map((n) => n / (wav.sampleRate / 1000)) }
+}
+
+// One expect.http request against the gateway; returns { request, status, text }
+async function httpRequest(httpUrl, request) {
+  const body = request.body_bytes ? 'x'.repeat(request.body_bytes) : request.body
+  if (request.abort_body) return abortedRequest(httpUrl, request, body || '')
+  const headers = { ...request.headers }
+  if (request.twilio_signed) {
+    const params = Object.fromEntries(new URLSearchParams(body || ''))
+    headers['Content-Type'] = 'application/x-www-form-urlencoded'
+    headers['X-Twilio-Signature'] = twilioSignature('twilio-sim', `${httpUrl}${request.path}`, params)
+  }
+  try {
+    const resp = await fetch(`${httpUrl}${request.path}`, {
+      method: request.method || 'GET',
+      headers,
+      body,
+      signal: AbortSignal.timeout(request.timeout_ms || 5000),
+    })
+    return { request, status: resp.status, text: await resp.text() }
+  } catch (e) {
+    return { request, status: null, text: String(e?.message || e) }
+  }
+}
+
+// A client that goes away mid-body: the gateway must not care beyond this request
+function abortedRequest(httpUrl, request, body) {
+  const { hostname, port } = new URL(httpUrl)
+  const headers = { Host: `${hostname}:${port}`, 'Content-Length': Buffer.byteLength(body) + 1024, ...request.headers }
+  const head = [`${request.method || 'POST'} ${request.path} HTTP/1.1`]
+  for (const [k, v] of Object.entries(headers)) head.push(`${k}: ${v}`)
+  let received = ''
+  const result = () => {
+    const status = received.match(/^HTTP\/1\.1 (\d{3})/)
+    return { request, status: status ? Number(status[1]) : null, text: received.split('\r\n\r\n')[1] ?? 'aborted' }
+  }
+  return new Promise((resolve) => {
+    const socket = net.connect(Number(port), hostname, () => {
+      socket.write(`${head.join('\r\n')}\r\n\r\n${body.slice(0, Math.ceil(body.length / 2))}`)
+      setTimeout(() => {
+        socket.destroy()
+        resolve(result())
+      }, 200)
+    })
+    socket.on('data', (d) => (received += d))
+    socket.on('error', () => resolve(result()))
+  })
+}
+
+// Failure messages for one httpRequest() result
+function checkHttp({ request, status, text }) {
+  const failures = []
+  const what = `http ${request.method || 'GET'} ${request.path}`
+  const fail = (detail) => failures.push(`${what}: ${detail}`)
+  if (request.status != null && status !== request.status) fail(`expected status ${request.status}, got ${status}: ${text}`)
+  for (const s of request.contains || []) {
+    if (!text.includes(s)) fail(`response has no ${JSON.stringify(s)}:\n${text}`)
+  }
+  if (request.json) {
+    let parsed = null
+    try {
+      parsed = JSON.parse(text)
+    } catch {}
+    if (!matches(parsed, request.json)) fail(`expected JSON like ${JSON.stringify(request.json)}, got ${text}`)
+  }
+  return failures
+}
+
+function check(scenario, state, call, agents, httpResults = [], exitCode = null) {
+  const failures = []
+  const expect = scenario.expect || {}
+  const fail = (what, detail) => failures.push(`${what}: ${detail}`)
+
+  if (state.scriptError) fail('openai script', state.scriptError)
+  for (const v of state.violations) fail('protocol', v)
+
+  if (expect.agents) {
+    const promptToKey = new Map(
+      agents.flatMap((a) => [a.system_prompt, ...Object.values(a.prompt_translations || {})].map((p) => [p, a.agent_key]))
+    )
+    const seen = state.openaiReceived
+      .filter((e) => e.type === 'session.update' && e.session?.instructions)
+      .map((e) => promptToKey.get(e.session.instructions) || '?')
+    if (JSON.stringify(seen) !== JSON.stringify(expect.agents)) {
+      fail('agents', `expected ${JSON.stringify(expect.agents)}, got ${JSON.stringify(seen)}`)
+    }
+  }
+
+  if (expect.tool_requests) {
+    const missing = inOrder(state.toolRequests, expect.tool_requests, (a, e) => a.name === e.name && matches(a.body, e.body || {}))
+    if (missing) fail('tool_requests', `missing ${JSON.stringify(missing)}; got ${JSON.stringify(state.toolRequests)}`)
+  }
+
+  if (expect.tts_texts) {
+    const missing = inOrder(state.ttsTexts, expect.tts_texts, (a, e) => a === e)
+    if (missing !== null) fail('tts_texts', `missing ${JSON.stringify(missing)}; got ${JSON.stringify(state.ttsTexts)}`)
+  }
+
+  if (expect.tts_requests) {
+    const missing = inOrder(state.ttsRequests, expect.tts_requests, (a, e) => matches(a, e))
+    if (missing) fail('tts_requests', `missing ${JSON.stringify(missing)}; got ${JSON.stringify(state.ttsRequests)}`)
+  }
+
+  if (expect.tts_voices) {
+    const missing = inOrder(state.ttsVoices, expect.tts_voices, (a, e) => a === e)
+    if (missing !== null) fail('tts_voices', `missing ${JSON.stringify(missing)}; got ${JSON.stringify(state.ttsVoices)}`)
+  }
+
+  for (const [text, count] of Object.entries(expect.tts_counts || {})) {
+    const n = state.ttsTexts.filter((t) => t === text).length
+    if (n !== count) fail('tts_counts', `expected ${count} x ${JSON.stringify(text)}, got ${n}`)
+  }
+
+  for (const [type, count] of Object.entries(expect.openai_sent || {})) {
+    const n = state.openaiReceived.filter((e) => e.type === type).length
+    if (n !== count) fail('openai_sent', `expected ${count} x ${type}, got ${n}`)
+  }
+
+  if (expect.openai_match) {
+    const missing = inOrder(state.openaiReceived, expect.openai_match, (a, e) => matches(a, e))
+    if (missing) fail('openai_match', `missing ${JSON.stringify(missing)}`)
+  }
+
+  if (expect.twilio) {
+    const mediaMs = call.mediaBytes / 8
+    const t = expect.twilio
+    if (t.min_media_ms != null && mediaMs < t.min_media_ms) fail('twilio', `only ${mediaMs} ms of audio, expected >= ${t.min_media_ms}`)
+    if (t.max_media_ms != null && mediaMs > t.max_media_ms) fail('twilio', `${mediaMs} ms of audio, expected <= ${t.max_media_ms}`)
+    if (t.clear != null && call.clear !== t.clear) fail('twilio', `expected ${t.clear} clear events, got ${call.clear}`)
+  }
+
+  if (expect.twilio_requests) {
+    const missing = inOrder(state.twilioRequests, expect.twilio_requests, (a, e) => a.path.includes(e.path || '') && matches(a.params, e.params || {}))
+    if (missing) fail('twilio_requests', `missing ${JSON.stringify(missing)}; got ${JSON.stringify(state.twilioRequests)}`)
+  }
+
+  if (expect.exit_code !== undefined && exitCode !== expect.exit_code) {
+    fail('exit_code', `expected the gateway to exit with ${expect.exit_code}, got ${exitCode ?? 'still running'}`)
+  }
+
+  if (expect.storage) {
+    const same = (a, e) =>
+      (e.bucket == null || a.bucket === e.bucket) &&
+      a.path.includes(e.path || '') &&
+      (e.content_type == null || a.contentType === e.content_type)
+    const missing = inOrder(state.storageUploads, expect.storage, same)
+    const got = state.storageUploads.map(({ bucket, path, contentType }) => ({ bucket, path, contentType }))
+    if (missing) fail('storage', `missing ${JSON.stringify(missing)}; got ${JSON.stringify(got)}`)
+
+    for (const e of expect.storage.filter((e) => e.wav)) {
+      const upload = state.storageUploads.find((a) => same(a, e))
+      if (!upload) continue
+      let wav
+      try {
+        wav = wavAudioMs(upload.body)
+      } catch (err) {
+        fail('storage', `${upload.path} is not a WAV: ${err.message}`)
+        continue
+      }
+      if (e.wav.channels != null && wav.channels !== e.wav.channels) {
+        fail('storage', `${upload.path}: expected ${e.wav.channels} channels, got ${wav.channels}`)
+      }
+      for (const [key, ch] of [['left_audio_ms', 0], ['right_audio_ms', 1]]) {
+        const range = e.wav[key]
+        const ms = wav.audioMs[ch]
+        if (range && !(ms >= range[0] && ms <= range[1])) fail('storage', `${upload.path}: ${key} ${ms}, expected ${range[0]}..${range[1]}`)
+      }
+    }
+  }
+
+  if (expect.storage_count != null && state.storageUploads.length !== expect.storage_count) {
+    fail('storage_count', `expected ${expect.storage_count} uploads, got ${state.storageUploads.length}`)
+  }
+
+  if (expect.storage_removals) {
+    const missing = inOrder(state.storageRemovals, expect.storage_removals, (a, e) => matches(a, e))
+    if (missing) fail('storage_removals', `missing ${JSON.stringify(missing)}; got ${JSON.stringify(state.storageRemovals)}`)
+  }
+
+  for (const [table, rows] of Object.entries(expect.db || {})) {
+    const written = state.dbWrites[table] || []
+    for (const row of rows) {
+      if (!written.some((w) => matches(w, row))) fail('db', `${table} has no row like ${JSON.stringify(row)}`)
+    }
+  }
+
+  for (const result of httpResults) failures.push(...checkHttp(result))
+
+  return failures
+}
+
+// ---------------------------------------------------------------------------
+// Runner
+// ---------------------------------------------------------------------------
+
+// scenario.outbound: POST /outbound, then play Twilio for each call the gateway
+// places. Returns the answered call's { callSid, streamParameters, statusCallback }.
+async function answerOutbound(scenario, gateway, stubs) {
+  const { request, dials = ['answer'] } = scenario.outbound
+  if (dials.at(-1) !== 'answer') throw new Error('outbound.dials must end with "answer"')
+
+  const resp = await httpRequest(gateway.httpUrl, {
+    method: 'POST',
+    path: '/outbound',
+    headers: { Authorization: 'Bearer outbound-sim', 'Content-Type': 'application/json' },
+    body: JSON.stringify(request),
+  })
+  if (resp.status !== 202) throw new Error(`POST /outbound failed: ${resp.status} ${resp.text}`)
+
+  for (const [i, outcome] of dials.entries()) {
+    const deadline = Date.now() + 10000
+    let dial
+    while (!(dial = stubs.state.twilioRequests.filter((r) => r.path.endsWith('/Calls.json'))[i])) {
+      if (Date.now() > deadline) throw new Error(`gateway never placed outbound call ${i + 1}`)
+      await sleep(50)
+    }
+
+    const callSid = `CAoutbound${i + 1}`
+    const { Url, StatusCallback, From, To } = dial.params
+    if (outcome !== 'answer') {
+      await postTwilioWebhook({ url: StatusCallback, authToken: 'twilio-sim', params: { CallSid: callSid, CallStatus: outcome } })
+      continue
+    }
+
+    const params = { CallSid: callSid, AccountSid: 'ACsimulator', From, To, Direction: 'outbound-api' }
+    const { status, text } = await postTwilioWebhook({ url: Url, authToken: 'twilio-sim', params })
+    if (status !== 200) throw new Error(`POST ${Url} failed: ${status} ${text}`)
+    return { callSid, streamParameters: streamParametersFromTwiml(text), statusCallback: StatusCallback }
+  }
+}
+
+async function runScenario(scenario) {
+  const agents = scenario.db?.cl_phone_agents || DEFAULT_AGENTS
+  scenario = { ...scenario, db: { ...(scenario.db || {}), cl_phone_agents: agents } }
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cl-sim-'))
+  let gateway = null
+  const background = [] // script http steps still running: Promise<result>
+  const stubs = await createStubServer(scenario, {
+    signal: (name) => gateway.signal(name),
+    http: async (request) => {
+      if (request.background) {
+        background.push(httpRequest(gateway.httpUrl, request))
+        return
+      }
+      const failures = checkHttp(await httpRequest(gateway.httpUrl, request))
+      if (failures.length) throw new Error(failures.join('; '))
+    },
+  })
+
+  try {
+    gateway = await startGateway(scenario, stubs.url, tmpDir)
+    const outbound = scenario.outbound ? await answerOutbound(scenario, gateway, stubs) : null
+    const transport = scenario.caller?.transport || 'twilio'
+    const callSid = outbound?.callSid || (transport === 'telnyx' ? 'v3:simulated' : 'CAsimulated')
+    let streamParameters = {}
+    if (outbound) {
+      streamParameters = outbound.streamParameters
+    } else if (transport === 'telnyx') {
+      streamParameters = await fetchTelnyxStreamParameters({
+        httpUrl: gateway.httpUrl,
+        privateKey: TELNYX_KEYS.privateKey,
+        callControlId: callSid,
+      })
+    } else if (transport === 'twilio' && scenario.caller?.voice_webhook !== false) {
+      streamParameters = await fetchStreamParameters({
+        httpUrl: gateway.httpUrl,
+        authToken: 'twilio-sim',
+        callSid,
+        query: scenario.caller?.voice_query || {},
+      })
+    }
+    const call = await runCall({
+      url: `${gateway.wsUrl}/${transport}-stream`,
+      transport,
+      callSid,
+      streamSid: 'MZsimulated',
+      audio: scenario.caller?.audio_ms ? tone(scenario.caller.audio_ms) : undefined,
+      customParameters: { ...streamParameters, ...(scenario.caller?.customParameters || {}) },
+      browser: { secret: 'browser-sim', ...(scenario.caller?.browser || {}) },
+      dtmf: scenario.caller?.dtmf || [],
+      done: stubs.scriptDone.then(() => sleep(scenario.settle_ms ?? 1500)),
+      maxMs: scenario.max_ms || 20000,
+    })
+    if (outbound) {
+      const params = { CallSid: callSid, CallStatus: 'completed' }
+      await postTwilioWebhook({ url: outbound.statusCallback, authToken: 'twilio-sim', params })
+    }
+    // Let the call log's timer flush what was written at hang-up
+    if (scenario.expect?.db) await sleep(1200)
+    const httpResults = await Promise.all(background)
+    for (const request of scenario.expect?.http || []) httpResults.push(await httpRequest(gateway.httpUrl, request))
+    const exitCode = scenario.expect?.exit_code !== undefined ? await gateway.waitForExit(5000) : null
+    await gateway.stop()
+    return { failures: check(scenario, stubs.state, call, agents, httpResults, exitCode), logs: gateway.logs }
+  } catch (e) {
+    await gateway?.stop()
+    return { failures: [e.message], logs: gateway?.logs || [] }
+  } finally {
+    await stubs.close()
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  }
+}
+
+const scenarioDir = path.join(SIM_DIR, 'scenarios')
+const files = fs
+  .readdirSync(scenarioDir)
+  .filter((f) => f.endsWith('.json') && (!filter || f.includes(filter)))
+  .sort()
+
+let failed = 0
+for (const file of files) {
+  const scenario = JSON.parse(fs.readFileSync(path.join(scenarioDir, file), 'utf8'))
+  const name = scenario.name || file
+  const startedAt = Date.now()
+  const { failures, logs } = await runScenario(scenario)
+  const ms = Date.now() - startedAt
+
+  if (!failures.length) {
+    console.log(`ok    ${name} (${ms} ms)`)
+    continue
+  }
+
+  failed += 1
+  console.log(`FAIL  ${name} (${ms} ms)`)
+  for (const f of failures) console.log(`      - ${f}`)
+  if (!verbose) console.log(logs.join('').replace(/^/gm, '    | '))
+}
+
+console.log(`\n${files.length - failed}/${files.length} scenarios passed`)
+process.exit(failed ? 1 : 0)
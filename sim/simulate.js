@@ -0,0 +1,86 @@
+// sim/simulate.js
+// CLI: place a fake Twilio call against a running gateway.
+//
+//   node sim/simulate.js [--url ws://localhost:8080/twilio-stream] [--audio greeting.wav]
+//                        [--seconds 20] [--dtmf 1@3000,2@5000] [--param name=value ...]
+//                        [--auth-token TWILIO_AUTH_TOKEN] [--from +15555550100] [--language yi]
+//
+// With --auth-token the call first goes through POST /voice like a real Twilio call
+// and streams with the token it returns; without it the gateway must run with
+// STREAM_AUTH_REQUIRED=false.
+// Audio may be raw µ-law (.ulaw) or an 8 kHz mono WAV (µ-law or PCM16).
+// Prints what the gateway sends back (media frames summarized).
+
+import { readCallerAudio } from './audio.js'
+import { fetchStreamParameters, runCall } from './twilioClient.js'
+
+function parseArgs(argv) {
+  const args = {
+    url: 'ws://localhost:8080/twilio-stream',
+    audio: null,
+    seconds: 20,
+    dtmf: [],
+    params: {},
+    authToken: null,
+    from: undefined,
+    language: null,
+  }
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, value] = [argv[i], argv[i + 1]]
+    if (flag === '--url') args.url = value
+    else if (flag === '--audio') args.audio = value
+    else if (flag === '--seconds') args.seconds = Number(value)
+    else if (flag === '--dtmf') {
+      args.dtmf = value.split(',').map((d) => {
+        const [digit, atMs] = d.split('@')
+        return { digit, atMs: Number(atMs) || 0 }
+      })
+    } else if (flag === '--auth-token') args.authToken = value
+    else if (flag === '--from') args.from = value
+    else if (flag === '--language') args.language = value
+    else if (flag === '--param') {
+      const [k, ...v] = value.split('=')
+      args.params[k] = v.join('=')
+    } else {
+      console.error('Unknown argument:', flag)
+      process.exit(2)
+    }
+    i += 1
+  }
+  return args
+}
+
+const args = parseArgs(process.argv.slice(2))
+const audio = args.audio ? readCallerAudio(args.audio) : undefined
+
+const callSid = `CA${Date.now()}`
+const streamParameters = args.authToken
+  ? await fetchStreamParameters({
+      httpUrl: new URL(args.url).origin.replace(/^ws/, 'http'),
+      authToken: args.authToken,
+      callSid,
+      from: args.from,
+      query: args.language ? { language: args.language } : {},
+    })
+  : {}
+
+console.log('[sim] Calling', args.url, audio ? `with ${audio.length / 8} ms of audio` : 'with silence')
+
+const result = await runCall({
+  url: args.url,
+  audio,
+  callSid,
+  dtmf: args.dtmf,
+  customParameters: { ...streamParameters, ...args.params },
+  maxMs: args.seconds * 1000,
+  onEvent: (msg) => {
+    if (msg.event !== 'media') console.log('[sim] <-', JSON.stringify(msg))
+  },
+})
+
+console.log(
+  '[sim] Done:',
+  `${result.media} media frames (${result.mediaBytes / 8} ms of audio),`,
+  `${result.clear} clear, ${result.mark} mark,`,
+  result.closedByGateway ? 'gateway closed the stream' : 'caller hung up'
+)
@@ -0,0 +1,355 @@
+// sim/stubs.js
+// One local server standing in for everything the gateway talks to:
+//   /v1/realtime                         OpenAI Realtime WS, driven by the scenario's `openai` script
+//   /v1/text-to-speech/:voice            ElevenLabs HTTP TTS (buffered mode)
+//   /v1/text-to-speech/:voice/stream-input   ElevenLabs stream-input WS
+//   /rest/v1/:table                      Supabase PostgREST (reads from scenario.db with eq. filters, records writes)
+//   /tools/:name                         tool endpoints (ROUTER_ENDPOINT etc.), from scenario.endpoints
+//   /2010-04-01/...                      Twilio REST
+//   /storage/v1/object/:bucket/:path     Supabase Storage downloads (scenario.storage_files), uploads (recorded) and removals
+//
+// Fake audio is 10 ms of (audible) µ-law per character of text, so tests can reason about lengths.
+
+import http from 'http'
+import { WebSocketServer } from 'ws'
+import { parse as parseUrl } from 'url'
+import { pcmWav } from './audio.js'
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms))
+
+export function fakeAudio(text) {
+  return Buffer.alloc(String(text).trim().length * 80, 0x10)
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    const chunks = []
+    req.on('data', (c) => chunks.push(c))
+    req.on('end', () => resolve(Buffer.concat(chunks)))
+  })
+}
+
+// Does `actual` contain everything in `expected` (deep, arrays by index)?
+export function matches(actual, expected) {
+  if (expected === null || typeof expected !== 'object') return actual === expected
+  if (actual === null || typeof actual !== 'object') return false
+  return Object.entries(expected).every(([k, v]) => matches(actual[k], v))
+}
+
+// hooks: { signal(name), http(request) } run the script steps that act on the gateway
+export function createStubServer(scenario, hooks = {}) {
+  const state = {
+    openaiReceived: [], // every client event the gateway sent to "OpenAI"
+    violations: [], // protocol misuse the real API would reject
+    openaiConnections: 0,
+    toolRequests: [], // { name, body }
+    ttsTexts: [], // one entry per synthesized utterance
+    ttsVoices: [], // voice id of each utterance in ttsTexts
+    ttsRequests: [], // { voice, model, voice_settings, text } per utterance
+    dbWrites: {}, // table -> rows
+    twilioRequests: [], // { path, params }
+    storageUploads: [], // { bucket, path, contentType, body (Buffer) }
+    storageRemovals: [], // { bucket, paths }
+    scriptError: null,
+  }
+
+  const endpointCalls = {}
+  let resolveScript
+  const scriptDone = new Promise((r) => (resolveScript = r))
+
+  // -------------------------------------------------------------------------
+  // HTTP
+  // -------------------------------------------------------------------------
+  const server = http.createServer(async (req, res) => {
+    const { pathname, query } = parseUrl(req.url || '', true)
+    const raw = await readBody(req)
+    const body = raw.toString('utf8')
+
+    const json = (status, obj) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' })
+      res.end(obj === undefined ? '' : JSON.stringify(obj))
+    }
+
+    // ElevenLabs buffered TTS
+    let m = pathname.match(/^\/v1\/text-to-speech\/([^/]+)$/)
+    if (m && req.method === 'POST') {
+      const { text, model_id, voice_settings } = JSON.parse(body || '{}')
+      state.ttsTexts.push(String(text).trim())
+      state.ttsVoices.push(m[1])
+      state.ttsRequests.push({ voice: m[1], model: model_id, voice_settings, text: String(text).trim() })
+      res.writeHead(200, { 'Content-Type': 'audio/basic' })
+      return res.end(fakeAudio(text))
+    }
+
+    // Tool endpoints: scenario.endpoints[name] is one response or a list (one per call)
+    m = pathname.match(/^\/tools\/([^/]+)$/)
+    if (m) {
+      const name = m[1]
+      state.toolRequests.push({ name, body: JSON.parse(body || '{}') })
+      const configured = scenario.endpoints?.[name]
+      const n = (endpointCalls[name] = (endpointCalls[name] || 0) + 1)
+      const spec = (Array.isArray(configured) ? configured[Math.min(n, configured.length) - 1] : configured) || {}
+      if (spec.delay_ms) await sleep(spec.delay_ms)
+      return json(spec.status || 200, spec.body ?? {})
+    }
+
+    // Supabase PostgREST
+    m = pathname.match(/^\/rest\/v1\/([^/]+)$/)
+    if (m) {
+      const table = m[1]
+      if (req.method === 'GET') {
+        if (scenario.db_delay_ms?.[table]) await sleep(scenario.db_delay_ms[table])
+        // Only col=eq.value filters are applied; other operators are ignored
+        const filters = Object.entries(query).filter(([, v]) => typeof v === 'string' && v.startsWith('eq.'))
+        const rows = (scenario.db?.[table] || []).filter((row) => filters.every(([col, v]) => String(row[col]) === v.slice(3)))
+        if ((req.headers.accept || '').includes('vnd.pgrst.object')) {
+          return rows.length ? json(200, rows[0]) : json(406, { message: 'no rows' })
+        }
+        return json(200, rows)
+      }
+      const parsed = body ? JSON.parse(body) : []
+      state.dbWrites[table] = (state.dbWrites[table] || []).concat(parsed)
+      return json(req.method === 'POST' ? 201 : 204)
+    }
+
+    // Supabase Storage
+    m = pathname.match(/^\/storage\/v1\/object\/([^/]+)(?:\/(.+))?$/)
+    if (m) {
+      const [, bucket, objectPath] = m
+      if (req.method === 'GET') {
+        const file = scenario.storage_files?.[`${bucket}/${objectPath}`]
+        if (!file) return json(404, { statusCode: '404', error: 'not_found', message: 'Object not found' })
+        res.writeHead(200, { 'Content-Type': 'application/octet-stream' })
+        return res.end(file.wav ? pcmWav(file.wav) : Buffer.from(file.text || ''))
+      }
+      if (req.method === 'DELETE') {
+        const paths = JSON.parse(body || '{}').prefixes || []
+        state.storageRemovals.push({ bucket, paths })
+        return json(200, paths.map((name) => ({ name })))
+      }
+      state.storageUploads.push({ bucket, path: objectPath, contentType: req.headers['content-type'], body: raw })
+      return json(200, { Key: `${bucket}/${objectPath}`, Id: `obj${state.storageUploads.length}` })
+    }
+
+    // Twilio REST
+    if (pathname.startsWith('/2010-04-01/')) {
+      state.twilioRequests.push({ path: pathname, params: Object.fromEntries(new URLSearchParams(body)) })
+      // New calls get the sids the runner answers them with (CAoutbound1, 2, ...)
+      if (pathname.endsWith('/Calls.json')) {
+        const n = state.twilioRequests.filter((r) => r.path.endsWith('/Calls.json')).length
+        return json(201, { sid: `CAoutbound${n}`, status: 'queued' })
+      }
+      return json(200, { sid: `SM${state.twilioRequests.length}` })
+    }
+
+    json(404, { error: 'not found', path: pathname })
+  })
+
+  // -------------------------------------------------------------------------
+  // WebSockets
+  // -------------------------------------------------------------------------
+  // openai_connect_delay_ms holds the Realtime handshake, as a slow OpenAI connection would
+  const wss = new WebSocketServer({
+    server,
+    verifyClient: (info, done) => {
+      const delay = parseUrl(info.req.url || '').pathname === '/v1/realtime' ? scenario.openai_connect_delay_ms : 0
+      if (delay) setTimeout(() => done(true), delay)
+      else done(true)
+    },
+  })
+
+  wss.on('connection', (ws, req) => {
+    const { pathname, query } = parseUrl(req.url || '', true)
+    if (pathname === '/v1/realtime') return handleOpenAI(ws)
+    const tts = pathname.match(/^\/v1\/text-to-speech\/([^/]+)\/stream-input$/)
+    if (tts) return handleElevenLabsStream(ws, tts[1], query.model_id)
+    ws.close()
+  })
+
+  function handleElevenLabsStream(ws, voice, model) {
+    const texts = []
+    let voiceSettings = null
+    ws.on('message', (raw) => {
+      const msg = JSON.parse(raw.toString())
+      if (msg.text === ' ') {
+        voiceSettings = msg.voice_settings // stream init
+        return
+      }
+      if (msg.text === '') {
+        state.ttsTexts.push(texts.join('').trim())
+        state.ttsVoices.push(voice)
+        state.ttsRequests.push({ voice, model, voice_settings: voiceSettings, text: texts.join('').trim() })
+        ws.send(JSON.stringify({ isFinal: true }))
+        return
+      }
+      texts.push(msg.text)
+      ws.send(JSON.stringify({ audio: fakeAudio(msg.text).toString('base64'), isFinal: null }))
+    })
+  }
+
+  function handleOpenAI(ws) {
+    state.openaiConnections += 1
+    // Only the first connection runs the script (one call per scenario)
+    const scripted = state.openaiConnections === 1
+
+    let cursor = 0
+    let audioBytes = 0
+    let activeResponse = null
+    let cancelHeld = false // response.cancel is only answered by a later "done" step (hold_cancel)
+    let seq = 0
+    const waiters = new Set()
+    const id = (prefix) => `${prefix}_${++seq}`
+
+    const send = (obj) => {
+      if (ws.readyState === ws.OPEN) ws.send(JSON.stringify({ event_id: id('event'), ...obj }))
+    }
+
+    ws.on('message', (raw) => {
+      const event = JSON.parse(raw.toString())
+      if (event.type === 'input_audio_buffer.append') {
+        audioBytes += Buffer.byteLength(event.audio || '', 'base64')
+      } else {
+        state.openaiReceived.push(event)
+      }
+
+      if (event.type === 'response.create' && activeResponse) {
+        state.violations.push('response.create sent while a response was active')
+        send({
+          type: 'error',
+          error: { type: 'invalid_request_error', code: 'conversation_already_has_active_response' },
+        })
+      }
+      if (event.type === 'response.cancel' && activeResponse && !cancelHeld) {
+        send({ type: 'response.done', response: { id: activeResponse, status: 'cancelled', output: [] } })
+        activeResponse = null
+      }
+      for (const check of waiters) check()
+    })
+
+    send({ type: 'session.created', session: {} })
+
+    function waitFor(step) {
+      const timeoutMs = step.timeout_ms || 5000
+      return new Promise((resolve, reject) => {
+        const check = () => {
+          if (step.wait === 'audio') {
+            if (audioBytes >= (step.ms || 0) * 8) done()
+            return
+          }
+          for (let i = cursor; i < state.openaiReceived.length; i++) {
+            const ev = state.openaiReceived[i]
+            if (ev.type === step.wait && matches(ev, step.match || {})) {
+              cursor = i + 1
+              return done()
+            }
+          }
+        }
+        const timer = setTimeout(() => {
+          waiters.delete(check)
+          reject(new Error(`timed out waiting for ${step.wait} ${step.match ? JSON.stringify(step.match) : ''}`))
+        }, timeoutMs)
+        function done() {
+          clearTimeout(timer)
+          waiters.delete(check)
+          resolve()
+        }
+        waiters.add(check)
+        check()
+      })
+    }
+
+    function startResponse() {
+      activeResponse = id('resp')
+      cancelHeld = false
+      send({ type: 'response.created', response: { id: activeResponse, status: 'in_progress' } })
+    }
+
+    function finishResponse(status = 'completed') {
+      if (!activeResponse) return
+      send({ type: 'response.done', response: { id: activeResponse, status } })
+      activeResponse = null
+    }
+
+    // Script steps, see the format in sim/run-scenarios.js
+    async function runStep(step) {
+      if (step.wait) return waitFor(step)
+      if (step.sleep) return sleep(step.sleep)
+      if (step.signal) return hooks.signal(step.signal)
+      if (step.http) return hooks.http(step.http)
+
+      switch (step.send) {
+        case 'speech':
+          send({ type: 'input_audio_buffer.speech_started', audio_start_ms: 0 })
+          await sleep(step.duration_ms || 200)
+          send({ type: 'input_audio_buffer.speech_stopped', audio_end_ms: 0 })
+          return
+        case 'speech_started':
+        case 'speech_stopped':
+          send({ type: `input_audio_buffer.${step.send}`, audio_start_ms: 0 })
+          return
+        case 'transcription':
+          send({ type: 'conversation.item.input_audio_transcription.completed', item_id: id('item'), transcript: step.text })
+          return
+        case 'response': {
+          startResponse()
+          cancelHeld = !!step.hold_cancel
+          const itemId = id('item')
+          send({ type: 'response.output_item.added', item: { id: itemId, type: 'message', role: 'assistant' } })
+          send({ type: 'response.audio.delta', item_id: itemId, delta: fakeAudio(step.text).toString('base64') })
+          for (const word of step.text.match(/\S+\s*/g) || []) {
+            send({ type: 'response.audio_transcript.delta', item_id: itemId, delta: word })
+            await sleep(step.delta_ms ?? 5)
+          }
+          if (!step.hold_done) finishResponse()
+          return
+        }
+        case 'tool_call': {
+          startResponse()
+          const callId = id('call')
+          send({ type: 'response.output_item.added', item: { id: id('item'), type: 'function_call', call_id: callId, name: step.name } })
+          send({ type: 'response.function_call_arguments.done', call_id: callId, arguments: JSON.stringify(step.arguments || {}) })
+          if (!step.hold_done) finishResponse()
+          return
+        }
+        case 'done':
+          finishResponse(step.status)
+          return
+        case 'event':
+          send(step.event)
+          return
+        default:
+          throw new Error(`unknown script step ${JSON.stringify(step)}`)
+      }
+    }
+
+    if (!scripted) return
+    ;(async () => {
+      for (const [i, step] of (scenario.openai || []).entries()) {
+        try {
+          await runStep(step)
+        } catch (e) {
+          state.scriptError = `step ${i + 1}: ${e.message}`
+          break
+        }
+      }
+      resolveScript()
+    })()
+  }
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address()
+      resolve({
+        url: `http://127.0.0.1:${port}`,
+        state,
+        scriptDone,
+        close: () =>
+          new Promise((r) => {
+            for (const client of wss.clients) client.terminate()
+            wss.close()
+            server.close(() => r())
+          }),
+      })
+    })
+  })
+}
@@ -0,0 +1,224 @@
+// sim/twilioClient.js
+// Plays the carrier side of a media stream call against the gateway: start,
+// caller audio paced as 20 ms frames, optional DTMF, then stop. Everything the
+// gateway sends back is captured. Speaks Twilio Media Streams (/twilio-stream)
+// by default, or Telnyx (/telnyx-stream) or the browser test page (/browser-stream,
+// PCM16 at its own sample rate); see transports.js.
+// fetchStreamParameters() does the POST /voice webhook first, signed like Twilio,
+// to get the stream token (fetchTelnyxStreamParameters() the same for Telnyx);
+// postTwilioWebhook() signs any other webhook call.
+
+import crypto from 'crypto'
+import WebSocket from 'ws'
+import { FRAME_SIZE, ULAW_SILENCE } from './audio.js'
+import { twilioSignature } from '../twilio.js'
+import { createPcmTranscoder } from '../audioCodec.js'
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms))
+
+// POSTs `params` to a gateway webhook, signed like Twilio; resolves to { status, text }
+export async function postTwilioWebhook({ url, authToken, params }) {
+  const resp = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'X-Twilio-Signature': twilioSignature(authToken, url, params),
+    },
+    body: new URLSearchParams(params).toString(),
+    signal: AbortSignal.timeout(5000),
+  })
+  return { status: resp.status, text: await resp.text() }
+}
+
+// The <Stream> <Parameter>s from a TwiML response
+export function streamParametersFromTwiml(xml) {
+  const unescape = (v) =>
+    v.replaceAll('&quot;', '"').replaceAll('&apos;', "'").replaceAll('&lt;', '<').replaceAll('&gt;', '>').replaceAll('&amp;', '&')
+  return Object.fromEntries([...xml.matchAll(/<Parameter name="([^"]*)" value="([^"]*)"\/>/g)].map((m) => [unescape(m[1]), unescape(m[2])]))
+}
+
+// POSTs the inbound-call webhook and returns the <Stream> <Parameter>s from the TwiML
+export async function fetchStreamParameters({ httpUrl, authToken, callSid, from = '+15555550100', to = '+15555550199', query = {} }) {
+  const qs = new URLSearchParams(query).toString()
+  const url = `${httpUrl}/voice${qs ? `?${qs}` : ''}`
+  const params = { CallSid: callSid, AccountSid: 'ACsimulator', From: from, To: to, Direction: 'inbound' }
+
+  const { status, text } = await postTwilioWebhook({ url, authToken, params })
+  if (status !== 200) throw new Error(`POST /voice failed: ${status} ${text}`)
+  return streamParametersFromTwiml(text)
+}
+
+// POSTs /telnyx/voice signed with `privateKey` (Ed25519, node:crypto KeyObject)
+// and returns the <Stream> <Parameter>s from the TeXML
+export async function fetchTelnyxStreamParameters({ httpUrl, privateKey, callControlId, from = '+15555550100', to = '+15555550199' }) {
+  const body = new URLSearchParams({ CallSid: callControlId, CallControlId: callControlId, From: from, To: to }).toString()
+  const timestamp = String(Math.floor(Date.now() / 1000))
+  const signature = crypto.sign(null, Buffer.from(`${timestamp}|${body}`), privateKey).toString('base64')
+  const resp = await fetch(`${httpUrl}/telnyx/voice`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'telnyx-signature-ed25519': signature,
+      'telnyx-timestamp': timestamp,
+    },
+    body,
+    signal: AbortSignal.timeout(5000),
+  })
+  const text = await resp.text()
+  if (resp.status !== 200) throw new Error(`POST /telnyx/voice failed: ${resp.status} ${text}`)
+  return streamParametersFromTwiml(text)
+}
+
+// What each transport's caller side sends, and what the gateway's messages mean.
+// receive() returns { mediaBytes } (as 8 kHz µ-law) for audio, else the event with its `event` name.
+const PROTOCOLS = {
+  twilio: ({ callSid, streamSid, customParameters }) => {
+    let seq = 1
+    return {
+      start: () => [
+        { event: 'connected', protocol: 'Call', version: '1.0.0' },
+        {
+          event: 'start',
+          sequenceNumber: String(seq++),
+          start: {
+            accountSid: 'ACsimulator',
+            callSid,
+            streamSid,
+            tracks: ['inbound'],
+            customParameters,
+            mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: 8000, channels: 1 },
+          },
+          streamSid,
+        },
+      ],
+      media: (chunk, frame) => ({
+        event: 'media',
+        sequenceNumber: String(seq++),
+        media: { track: 'inbound', chunk: String(frame + 1), timestamp: String(frame * 20), payload: chunk.toString('base64') },
+        streamSid,
+      }),
+      dtmf: (digit) => ({ event: 'dtmf', sequenceNumber: String(seq++), dtmf: { track: 'inbound_track', digit }, streamSid }),
+      stop: () => ({ event: 'stop', sequenceNumber: String(seq++), stop: { accountSid: 'ACsimulator', callSid }, streamSid }),
+      receive: (msg) => (msg.event === 'media' ? { mediaBytes: Buffer.byteLength(msg.media?.payload || '', 'base64') } : msg),
+    }
+  },
+
+  telnyx: ({ callSid, streamSid, customParameters }) => {
+    let seq = 1
+    return {
+      start: () => [
+        { event: 'connected', version: '1.0.0' },
+        {
+          event: 'start',
+          sequence_number: String(seq++),
+          start: {
+            call_control_id: callSid,
+            custom_parameters: customParameters,
+            media_format: { encoding: 'PCMU', sample_rate: 8000, channels: 1 },
+          },
+          stream_id: streamSid,
+        },
+      ],
+      media: (chunk, frame) => ({
+        event: 'media',
+        sequence_number: String(seq++),
+        media: { track: 'inbound', chunk: String(frame + 1), timestamp: String(frame * 20), payload: chunk.toString('base64') },
+        stream_id: streamSid,
+      }),
+      dtmf: (digit) => ({ event: 'dtmf', sequence_number: String(seq++), dtmf: { digit }, stream_id: streamSid }),
+      stop: () => ({ event: 'stop', sequence_number: String(seq++), stop: { call_control_id: callSid }, stream_id: streamSid }),
+      receive: (msg) => (msg.event === 'media' ? { mediaBytes: Buffer.byteLength(msg.media?.payload || '', 'base64') } : msg),
+    }
+  },
+
+  // browser: { secret, sample_rate, agent, language, caller_number }
+  browser: ({ browser = {} }) => {
+    const rate = browser.sample_rate || 16000
+    const codec = createPcmTranscoder(rate)
+    return {
+      start: () => [{ type: 'start', ...browser, sample_rate: rate }],
+      media: (chunk) => codec.fromUlaw(chunk),
+      dtmf: (digit) => ({ type: 'dtmf', digit }),
+      stop: () => ({ type: 'stop' }),
+      receive: (msg, isBinary) => (isBinary ? { mediaBytes: ((msg.length / 2) * 8000) / rate } : { ...msg, event: msg.type }),
+    }
+  },
+}
+
+// audio: µ-law Buffer played first; the call then keeps sending silence
+// (like a quiet phone line) until `done` resolves or maxMs passes.
+export async function runCall({
+  url,
+  transport = 'twilio',
+  audio = Buffer.alloc(0),
+  callSid = `CA${Date.now()}`,
+  streamSid = `MZ${Date.now()}`,
+  customParameters = {},
+  browser = {}, // the browser start message (transport 'browser')
+  dtmf = [], // [{ atMs, digit }]
+  done = null, // promise: hang up once it resolves
+  maxMs = 30000,
+  onEvent = null,
+}) {
+  const protocol = PROTOCOLS[transport]({ callSid, streamSid, customParameters, browser })
+  const ws = new WebSocket(url)
+  let startedAt = Date.now()
+  const received = { media: 0, mediaBytes: 0, clear: 0, mark: 0, events: [] }
+  let closedByGateway = false
+
+  ws.on('message', (raw, isBinary) => {
+    let msg
+    try {
+      msg = protocol.receive(isBinary ? raw : JSON.parse(raw.toString()), isBinary)
+    } catch {
+      return
+    }
+    if (msg.mediaBytes != null) {
+      received.media += 1
+      received.mediaBytes += msg.mediaBytes
+    } else {
+      if (msg.event === 'clear') received.clear += 1
+      if (msg.event === 'mark') received.mark += 1
+      received.events.push({ atMs: Date.now() - startedAt, ...msg })
+    }
+    onEvent?.(msg)
+  })
+  ws.on('close', () => {
+    closedByGateway = true
+  })
+
+  await new Promise((resolve, reject) => {
+    ws.once('open', resolve)
+    ws.once('error', reject)
+  })
+
+  startedAt = Date.now()
+  const send = (data) => ws.readyState === WebSocket.OPEN && ws.send(Buffer.isBuffer(data) ? data : JSON.stringify(data))
+
+  for (const msg of protocol.start()) send(msg)
+
+  let finished = false
+  done?.then(() => (finished = true))
+
+  const pendingDtmf = [...dtmf].sort((a, b) => a.atMs - b.atMs)
+  const silenceFrame = Buffer.alloc(FRAME_SIZE, ULAW_SILENCE)
+
+  for (let frame = 0; !finished && !closedByGateway && Date.now() - startedAt < maxMs; frame++) {
+    const off = frame * FRAME_SIZE
+    const chunk = off < audio.length ? audio.subarray(off, off + FRAME_SIZE) : silenceFrame
+    send(protocol.media(chunk, frame))
+
+    while (pendingDtmf.length && pendingDtmf[0].atMs <= frame * 20) {
+      send(protocol.dtmf(pendingDtmf.shift().digit))
+    }
+
+    // Pace against the wall clock so long calls don't drift
+    await sleep(Math.max(0, startedAt + (frame + 1) * 20 - Date.now()))
+  }
+
+  send(protocol.stop())
+  await sleep(100)
+  ws.close()
+
+  return { ...received, durationMs: Date.now() - startedAt, closedByGateway }
+}
@@ -0,0 +1,92 @@
+// streamAuth.js
+// One-time tokens that tie a /twilio-stream connection to the POST /voice webhook
+// that created it, so nobody can open the stream directly and spend our OpenAI
+// and ElevenLabs credits.
+//
+// /voice signs { callSid, params, exp, nonce } with STREAM_TOKEN_SECRET (falls back
+// to TWILIO_AUTH_TOKEN) and passes it as <Parameter name="token">. The stream's
+// `start` event must carry that token for the same callSid, with the same signed
+// parameters, before STREAM_TOKEN_TTL_S (default 60) runs out, and only once.
+//
+// Token: base64url(JSON payload) + '.' + base64url(HMAC-SHA256(payload))
+
+import crypto from 'crypto'
+
+// nonce -> exp (ms); pruned as tokens expire
+const usedNonces = new Map()
+
+function secret() {
+  return process.env.STREAM_TOKEN_SECRET || process.env.TWILIO_AUTH_TOKEN || ''
+}
+
+function ttlMs() {
+  const s = Number(process.env.STREAM_TOKEN_TTL_S)
+  return (Number.isFinite(s) && s > 0 ? s : 60) * 1000
+}
+
+function sign(encodedPayload) {
+  return crypto.createHmac('sha256', secret()).update(encodedPayload).digest('base64url')
+}
+
+function pruneNonces(now) {
+  for (const [nonce, exp] of usedNonces) {
+    if (exp < now) usedNonces.delete(nonce)
+  }
+}
+
+export function streamAuthConfigured() {
+  return !!secret()
+}
+
+// `params` (string values) are signed with the token and must come back unchanged
+export function issueStreamToken(callSid, params = {}) {
+  if (!streamAuthConfigured()) throw new Error('STREAM_TOKEN_SECRET / TWILIO_AUTH_TOKEN not configured')
+  const payload = {
+    callSid,
+    params,
+    exp: Date.now() + ttlMs(),
+    nonce: crypto.randomBytes(12).toString('base64url'),
+  }
+  const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url')
+  return `${encoded}.${sign(encoded)}`
+}
+
+// customParameters: everything the start event carried, token included.
+// Returns { ok: true, params } or { ok: false, reason }.
+export function verifyStreamToken({ callSid, customParameters = {} }) {
+  const { token, ...received } = customParameters
+  if (!token || typeof token !== 'string') return { ok: false, reason: 'missing_token' }
+  if (!streamAuthConfigured()) return { ok: false, reason: 'not_configured' }
+
+  const [encoded, signature = ''] = token.split('.')
+  // Compared as bytes: a non-ASCII signature can match in characters but not in bytes
+  const expected = Buffer.from(sign(encoded))
+  const given = Buffer.from(signature)
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return { ok: false, reason: 'bad_signature' }
+  }
+
+  let payload
+  try {
+    payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'))
+  } catch {
+    return { ok: false, reason: 'bad_signature' }
+  }
+
+  const now = Date.now()
+  pruneNonces(now)
+
+  if (!(payload.exp > now)) return { ok: false, reason: 'expired' }
+  if (payload.callSid !== callSid) return { ok: false, reason: 'call_mismatch' }
+
+  const signed = payload.params || {}
+  const keys = new Set([...Object.keys(signed), ...Object.keys(received)])
+  for (const key of keys) {
+    if ((signed[key] ?? '') !== (received[key] ?? '')) return { ok: false, reason: 'param_mismatch' }
+  }
+
+  if (usedNonces.has(payload.nonce)) return { ok: false, reason: 'replayed' }
+  usedNonces.set(payload.nonce, payload.exp)
+
+  return { ok: true, params: signed }
+}
@@ -0,0 +1,9 @@
+-- Per-agent barge-in settings read by the voice gateway (server.js).
+alter table cl_phone_agents
+  add column if not exists barge_in_enabled boolean,
+  add column if not exists barge_in_after_ms integer;
+
+comment on column cl_phone_agents.barge_in_enabled is
+  'Caller speech may interrupt this agent''s TTS. NULL = gateway default (BARGE_IN_ENABLED).';
+comment on column cl_phone_agents.barge_in_after_ms is
+  'TTS answers are non-interruptible for the first N ms (short mandatory disclaimers).';
@@ -0,0 +1,36 @@
+-- Per-call records written by the voice gateway (callLog.js).
+
+create table if not exists cl_phone_calls (
+  call_sid      text primary key,
+  stream_sid    text,
+  started_at    timestamptz not null default now(),
+  ended_at      timestamptz,
+  final_agent   text,
+  hangup_reason text
+);
+
+create table if not exists cl_phone_call_turns (
+  id         bigint generated always as identity primary key,
+  call_sid   text not null references cl_phone_calls (call_sid) on delete cascade,
+  role       text not null check (role in ('caller', 'assistant')),
+  agent      text,
+  text       text not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists cl_phone_call_turns_call_sid_idx on cl_phone_call_turns (call_sid, created_at);
+
+create table if not exists cl_phone_tool_calls (
+  id         bigint generated always as identity primary key,
+  call_sid   text not null references cl_phone_calls (call_sid) on delete cascade,
+  agent      text,
+  tool_name  text not null,
+  args       jsonb,
+  endpoint   text,
+  response   jsonb,
+  latency_ms integer,
+  error      text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists cl_phone_tool_calls_call_sid_idx on cl_phone_tool_calls (call_sid, created_at);
@@ -0,0 +1,90 @@
+-- Data-driven agent registry (agentRegistry.js). Backfills the three existing
+-- dev agents with the tool definitions that used to be hard-coded in server.js.
+
+alter table cl_phone_agents
+  add column if not exists agent_key       text,
+  add column if not exists is_active       boolean not null default false,
+  add column if not exists is_entry        boolean not null default false,
+  add column if not exists tools           jsonb   not null default '[]'::jsonb,
+  add column if not exists tool_endpoints  jsonb   not null default '{}'::jsonb,
+  add column if not exists handoff_targets text[]  not null default '{}';
+
+comment on column cl_phone_agents.tool_endpoints is
+  'Tool name -> endpoint URL, or "env:VAR_NAME" to read the URL from the gateway environment.';
+
+update cl_phone_agents set
+  agent_key = 'router',
+  is_active = true,
+  is_entry = true,
+  handoff_targets = '{items,pickup}',
+  tool_endpoints = '{"determine_route": "env:ROUTER_ENDPOINT"}',
+  tools = '[
+    {
+      "name": "determine_route",
+      "description": "Classify caller intent for Chasdei Lev phone calls and decide which agent should handle it.",
+      "parameters": {
+        "type": "object",
+        "properties": {
+          "message": { "type": "string" },
+          "ai_classification": { "type": "string" }
+        },
+        "required": ["message", "ai_classification"]
+      },
+      "handoff_on_intent": true
+    }
+  ]'
+where slug = 'router-dev';
+
+update cl_phone_agents set
+  agent_key = 'items',
+  is_active = true,
+  handoff_targets = '{router}',
+  tool_endpoints = '{"search_items": "env:ITEM_SEARCH_ENDPOINT"}',
+  tools = '[
+    {
+      "name": "search_items",
+      "description": "Search the Chasdei Lev items database and answer kashrus and package questions based ONLY on the provided data.",
+      "parameters": {
+        "type": "object",
+        "properties": { "query": { "type": "string" } },
+        "required": ["query"]
+      }
+    },
+    {
+      "name": "handoff_to_router",
+      "description": "Return control to the router agent when the caller asks about something other than items.",
+      "parameters": {
+        "type": "object",
+        "properties": { "question": { "type": "string" } },
+        "required": ["question"]
+      }
+    }
+  ]'
+where slug = 'item-dev';
+
+update cl_phone_agents set
+  agent_key = 'pickup',
+  is_active = true,
+  handoff_targets = '{router}',
+  tool_endpoints = '{"search_pickup_locations": "env:PICKUP_ENDPOINT"}',
+  tools = '[
+    {
+      "name": "search_pickup_locations",
+      "description": "Search the Chasdei Lev distribution locations database and answer pickup time/location questions based ONLY on the provided data.",
+      "parameters": {
+        "type": "object",
+        "properties": { "location_query": { "type": "string" } },
+        "required": ["location_query"]
+      }
+    },
+    {
+      "name": "handoff_to_router",
+      "description": "Return control to the router agent when the caller asks about something other than pickup.",
+      "parameters": {
+        "type": "object",
+        "properties": { "question": { "type": "string" } },
+        "required": ["question"]
+      }
+    }
+  ]'
+where slug = 'locations-dev';
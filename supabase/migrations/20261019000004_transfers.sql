@@ -0,0 +1,39 @@
+-- Warm transfer to a human (transfer.js) and voicemail fallback.
+
+create table if not exists cl_phone_transfers (
+  id         bigint generated always as identity primary key,
+  call_sid   text not null references cl_phone_calls (call_sid) on delete cascade,
+  agent      text,
+  reason     text,
+  mode       text not null check (mode in ('dial', 'voicemail')),
+  transcript jsonb not null default '[]'::jsonb,
+  error      text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists cl_phone_transfers_call_sid_idx on cl_phone_transfers (call_sid);
+
+create table if not exists cl_phone_voicemails (
+  id               bigint generated always as identity primary key,
+  call_sid         text not null references cl_phone_calls (call_sid) on delete cascade,
+  recording_url    text not null,
+  duration_seconds integer,
+  created_at       timestamptz not null default now()
+);
+
+create index if not exists cl_phone_voicemails_call_sid_idx on cl_phone_voicemails (call_sid);
+
+-- Offer transfer_to_human to every active agent
+update cl_phone_agents
+set tools = tools || '[
+  {
+    "name": "transfer_to_human",
+    "description": "Transfer the caller to a person in the Chasdei Lev office (or their voicemail after hours). Use for orders, account problems, or anything you cannot answer, or when the caller asks for a person.",
+    "parameters": {
+      "type": "object",
+      "properties": { "reason": { "type": "string", "description": "Short reason for the transfer, for the office staff." } },
+      "required": ["reason"]
+    }
+  }
+]'::jsonb
+where is_active and not tools @> '[{"name": "transfer_to_human"}]'::jsonb;
@@ -0,0 +1,18 @@
+-- Offer keypad digit collection (collect_digits, implemented in server.js) to every active agent.
+update cl_phone_agents
+set tools = tools || '[
+  {
+    "name": "collect_digits",
+    "description": "Collect digits the caller types on the phone keypad (e.g. an order number or zip code). First tell the caller what to enter and to press pound when done; the digits come back as this tool''s output.",
+    "parameters": {
+      "type": "object",
+      "properties": {
+        "purpose": { "type": "string", "description": "What is being collected, e.g. order_number or zip_code." },
+        "max_digits": { "type": "integer", "description": "Stop automatically after this many digits." },
+        "timeout_seconds": { "type": "integer", "description": "Give up after this many seconds without a key press (default 15)." }
+      },
+      "required": ["purpose"]
+    }
+  }
+]'::jsonb
+where is_active and not tools @> '[{"name": "collect_digits"}]'::jsonb;
@@ -0,0 +1,7 @@
+-- Spoken apology used when a tool endpoint keeps failing (server.js handleToolFailure).
+-- Placeholders: {{tool}}, {{agent}}.
+insert into answer_templates (key, spoken_template, is_active)
+select 'tool_unavailable',
+       'I''m sorry, I''m having trouble looking that up right now. Please try again in a few minutes.',
+       true
+where not exists (select 1 from answer_templates where key = 'tool_unavailable');
@@ -0,0 +1,22 @@
+-- Offer speak_template (server.js) to every active agent: says an approved
+-- answer_templates line verbatim instead of letting the model paraphrase it.
+update cl_phone_agents
+set tools = tools || '[
+  {
+    "name": "speak_template",
+    "description": "Say approved wording word-for-word (disclaimers, policies, hours). Use this instead of paraphrasing whenever an approved answer exists. The spoken text comes back as this tool''s output; do not repeat it.",
+    "parameters": {
+      "type": "object",
+      "properties": {
+        "key": { "type": "string", "description": "answer_templates key, e.g. kashrus_disclaimer." },
+        "params": {
+          "type": "object",
+          "description": "Values for the template placeholders, e.g. { \"location\": { \"name\": \"Lakewood\" } }.",
+          "additionalProperties": true
+        }
+      },
+      "required": ["key"]
+    }
+  }
+]'::jsonb
+where is_active and not tools @> '[{"name": "speak_template"}]'::jsonb;
@@ -0,0 +1,4 @@
+-- Per-call TTS cache counters (ttsCache.js), written when the call ends.
+alter table cl_phone_calls
+  add column if not exists tts_cache_hits   integer not null default 0,
+  add column if not exists tts_cache_misses integer not null default 0;
@@ -0,0 +1,45 @@
+-- Multilingual calls (languages.js): en, yi, he, es.
+
+-- Per-language system prompts: { "yi": "...", "he": "...", "es": "..." }.
+-- A language without an entry uses system_prompt plus "answer in <language>".
+alter table cl_phone_agents
+  add column if not exists prompt_translations jsonb not null default '{}'::jsonb;
+
+-- One template row per (key, language); English is the fallback for every key.
+alter table answer_templates
+  add column if not exists language text not null default 'en';
+
+do $$
+declare
+  c record;
+begin
+  -- Drop any unique constraint on key alone so translations can share the key
+  for c in
+    select con.conname
+    from pg_constraint con
+    where con.conrelid = 'answer_templates'::regclass
+      and con.contype = 'u'
+      and con.conkey = array[(select attnum from pg_attribute
+                              where attrelid = 'answer_templates'::regclass and attname = 'key')]
+  loop
+    execute format('alter table answer_templates drop constraint %I', c.conname);
+  end loop;
+end $$;
+
+create unique index if not exists answer_templates_key_language_idx on answer_templates (key, language);
+
+alter table cl_phone_calls
+  add column if not exists language text;
+
+-- Transfer lines, previously only TRANSFER_HOLD_MESSAGE / TRANSFER_VOICEMAIL_MESSAGE,
+-- so they can be translated like any other template.
+insert into answer_templates (key, spoken_template, language, is_active)
+select 'transfer_hold', 'Please hold while I connect you to our office.', 'en', true
+where not exists (select 1 from answer_templates where key = 'transfer_hold' and language = 'en');
+
+insert into answer_templates (key, spoken_template, language, is_active)
+select 'transfer_voicemail',
+       'Nobody from our office can take your call right now, so I''ll connect you to our voicemail.',
+       'en',
+       true
+where not exists (select 1 from answer_templates where key = 'transfer_voicemail' and language = 'en');
@@ -0,0 +1,5 @@
+-- Caller number from the signed /voice stream parameters (streamAuth.js).
+alter table cl_phone_calls
+  add column if not exists caller_number text;
+
+create index if not exists cl_phone_calls_caller_number_idx on cl_phone_calls (caller_number, started_at desc);
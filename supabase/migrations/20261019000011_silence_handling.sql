@@ -0,0 +1,20 @@
+-- No-input handling per agent (server.js checkSilence). NULL uses SILENCE_TIMEOUT_S /
+-- SILENCE_MAX_REPROMPTS; silence_timeout_s = 0 turns reprompts off for that agent.
+alter table cl_phone_agents
+  add column if not exists silence_timeout_s integer,
+  add column if not exists max_reprompts integer;
+
+insert into answer_templates (key, spoken_template, language, is_active)
+select 'silence_reprompt', 'Are you still there?', 'en', true
+where not exists (select 1 from answer_templates where key = 'silence_reprompt' and language = 'en');
+
+insert into answer_templates (key, spoken_template, language, is_active)
+select 'silence_goodbye', 'It seems you''ve stepped away. Please call us back anytime. Goodbye!', 'en', true
+where not exists (select 1 from answer_templates where key = 'silence_goodbye' and language = 'en');
+
+insert into answer_templates (key, spoken_template, language, is_active)
+select 'max_duration_goodbye',
+       'I''m sorry, we''ve reached the time limit for this call. Please call us back if you need more help. Goodbye!',
+       'en',
+       true
+where not exists (select 1 from answer_templates where key = 'max_duration_goodbye' and language = 'en');
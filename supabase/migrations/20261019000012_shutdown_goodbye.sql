@@ -0,0 +1,5 @@
+-- Said to callers still connected when a deploy's drain deadline runs out
+-- (server.js shutdown). SHUTDOWN_MESSAGE is the fallback.
+insert into answer_templates (key, spoken_template, language, is_active)
+select 'shutdown_goodbye', 'I''m sorry, we have to end this call now. Please call us back in a minute. Goodbye!', 'en', true
+where not exists (select 1 from answer_templates where key = 'shutdown_goodbye' and language = 'en');
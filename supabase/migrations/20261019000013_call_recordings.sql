@@ -0,0 +1,33 @@
+-- Dual-channel call recordings (recording.js): caller left, bot right, as WAV in
+-- Supabase Storage. Rows are kept after the file is purged (deleted_at set).
+
+insert into storage.buckets (id, name, public)
+values ('call-recordings', 'call-recordings', false)
+on conflict (id) do nothing;
+
+create table if not exists cl_phone_recordings (
+  id               bigint generated always as identity primary key,
+  call_sid         text not null references cl_phone_calls (call_sid) on delete cascade,
+  bucket           text not null,
+  storage_path     text not null,
+  duration_seconds integer,
+  created_at       timestamptz not null default now(),
+  deleted_at       timestamptz
+);
+
+create index if not exists cl_phone_recordings_call_sid_idx on cl_phone_recordings (call_sid);
+create index if not exists cl_phone_recordings_retention_idx on cl_phone_recordings (created_at) where deleted_at is null;
+
+-- Per-number consent. A call is recorded when the longest number_prefix matching
+-- the caller's number (applies_to = 'caller') or the dialed number ('called') says
+-- so; with no match, RECORDING_ENABLED decides. E.g. ('+1415', 'caller', false)
+-- keeps two-party-consent callers out even with RECORDING_ENABLED=true.
+create table if not exists cl_recording_rules (
+  id            bigint generated always as identity primary key,
+  number_prefix text not null,
+  applies_to    text not null default 'caller' check (applies_to in ('caller', 'called')),
+  record        boolean not null,
+  note          text,
+  is_active     boolean not null default true,
+  created_at    timestamptz not null default now()
+);
@@ -0,0 +1,52 @@
+-- Environment-aware agents with versioned prompts and A/B variants (agentRegistry.js).
+-- The gateway loads the agents whose env matches AGENT_ENV; existing rows are the
+-- *-dev agents. Copy them with env = 'staging' / 'prod' to give those their own.
+
+alter table cl_phone_agents
+  add column if not exists env text not null default 'dev' check (env in ('dev', 'staging', 'prod')),
+  add column if not exists pinned_prompt_version integer;
+
+create unique index if not exists cl_phone_agents_env_agent_key_idx
+  on cl_phone_agents (env, agent_key) where is_active;
+
+comment on column cl_phone_agents.pinned_prompt_version is
+  'Serve this cl_phone_agent_prompts version instead of the newest, and run no variants.';
+
+-- Append-only: editing a prompt means inserting the next version
+create table if not exists cl_phone_agent_prompts (
+  id                  bigint generated always as identity primary key,
+  agent_key           text not null,
+  env                 text not null check (env in ('dev', 'staging', 'prod')),
+  version             integer not null,
+  system_prompt       text not null,
+  prompt_translations jsonb not null default '{}'::jsonb,
+  note                text,
+  created_at          timestamptz not null default now(),
+  unique (agent_key, env, version)
+);
+
+-- Calls are split between an agent's active variants by weight
+create table if not exists cl_phone_prompt_variants (
+  id             bigint generated always as identity primary key,
+  agent_key      text not null,
+  env            text not null check (env in ('dev', 'staging', 'prod')),
+  variant        text not null,
+  prompt_version integer not null,
+  weight         integer not null default 1 check (weight >= 0),
+  is_active      boolean not null default true,
+  created_at     timestamptz not null default now(),
+  unique (agent_key, env, variant),
+  foreign key (agent_key, env, prompt_version) references cl_phone_agent_prompts (agent_key, env, version)
+);
+
+-- Today's prompts become version 1
+insert into cl_phone_agent_prompts (agent_key, env, version, system_prompt, prompt_translations, note)
+select agent_key, env, 1, system_prompt, coalesce(prompt_translations, '{}'::jsonb), 'initial version'
+from cl_phone_agents
+where agent_key is not null and system_prompt is not null
+on conflict (agent_key, env, version) do nothing;
+
+-- What each call used: { agent_key: { version, variant } }
+alter table cl_phone_calls
+  add column if not exists agent_env text,
+  add column if not exists prompt_versions jsonb not null default '{}'::jsonb;
@@ -0,0 +1,5 @@
+-- Said when a supervisor hangs up a call through the admin API without their own
+-- message (POST /calls/:callSid/hangup). ADMIN_HANGUP_MESSAGE is the fallback.
+insert into answer_templates (key, spoken_template, language, is_active)
+select 'admin_goodbye', 'Thank you for calling. Goodbye!', 'en', true
+where not exists (select 1 from answer_templates where key = 'admin_goodbye' and language = 'en');
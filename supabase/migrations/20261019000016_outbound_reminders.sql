@@ -0,0 +1,73 @@
+-- Outbound reminder calls (outbound.js, POST /outbound): the "reminder" agent the
+-- calls start on, the template they open with, and one row per recipient with
+-- its progress and outcome.
+
+insert into cl_phone_agents (slug, agent_key, env, is_active, system_prompt, handoff_targets, tool_endpoints, tools)
+select
+  'reminder-dev',
+  'reminder',
+  'dev',
+  true,
+  'You are the Chasdei Lev reminder agent on an outbound call. You called this person and have already '
+    || 'told them when and where their pickup is; do not repeat the reminder unless they ask. Answer their '
+    || 'questions about pickup times and locations with search_pickup_locations, based ONLY on the data it '
+    || 'returns. For anything else, use handoff_to_router. Keep answers short; when they have no more '
+    || 'questions, thank them and say goodbye.',
+  '{router}',
+  '{"search_pickup_locations": "env:PICKUP_ENDPOINT"}',
+  '[
+    {
+      "name": "search_pickup_locations",
+      "description": "Search the Chasdei Lev distribution locations database and answer pickup time/location questions based ONLY on the provided data.",
+      "parameters": {
+        "type": "object",
+        "properties": { "location_query": { "type": "string" } },
+        "required": ["location_query"]
+      }
+    },
+    {
+      "name": "handoff_to_router",
+      "description": "Hand the call to the router agent when the person asks about something other than their pickup.",
+      "parameters": {
+        "type": "object",
+        "properties": { "question": { "type": "string" } },
+        "required": ["question"]
+      }
+    }
+  ]'
+where not exists (select 1 from cl_phone_agents where agent_key = 'reminder' and env = 'dev');
+
+insert into cl_phone_agent_prompts (agent_key, env, version, system_prompt, note)
+select agent_key, env, 1, system_prompt, 'initial version'
+from cl_phone_agents
+where agent_key = 'reminder' and env = 'dev'
+on conflict (agent_key, env, version) do nothing;
+
+-- Rendered with each recipient's variables
+insert into answer_templates (key, spoken_template, language, is_active)
+select 'pickup_reminder',
+  'Hi {{name|there}}, this is Chasdei Lev with a reminder about your pickup on {{pickup_time}} at {{location}}. '
+    || '{{#if notes}}{{notes}} {{/if}}If you have any questions about your pickup, just ask me now.',
+  'en', true
+where not exists (select 1 from answer_templates where key = 'pickup_reminder' and language = 'en');
+
+create table if not exists cl_outbound_recipients (
+  id            uuid primary key,
+  campaign_id   uuid not null,
+  to_number     text not null,
+  variables     jsonb not null default '{}'::jsonb,
+  language      text,
+  agent_key     text not null,
+  template_key  text not null,
+  -- queued (also while waiting for a retry), dialing, answered, then
+  -- completed | no_answer | busy | failed | canceled
+  status        text not null default 'queued',
+  attempts      integer not null default 0,
+  last_call_sid text,
+  last_error    text,
+  created_at    timestamptz not null default now(),
+  updated_at    timestamptz not null default now()
+);
+
+create index if not exists cl_outbound_recipients_campaign_idx on cl_outbound_recipients (campaign_id);
+create index if not exists cl_outbound_recipients_call_sid_idx on cl_outbound_recipients (last_call_sid);
@@ -0,0 +1,43 @@
+-- send_sms (server.js): texts the caller the pickup location they asked about
+-- (name, address, hours, map link), from the call's last search_pickup_locations
+-- result. Offered to the pickup, items and reminder agents.
+
+update cl_phone_agents
+set tools = tools || '[
+  {
+    "name": "send_sms",
+    "description": "Text the caller the details (name, address, hours, map link) of a pickup location from your last search_pickup_locations result, so they don''t have to write it down. First offer to text it and wait for the caller to clearly say yes; never send without that. Each text is only sent once per call.",
+    "parameters": {
+      "type": "object",
+      "properties": {
+        "caller_agreed": { "type": "boolean", "description": "true only if the caller said yes to getting a text." },
+        "location_name": { "type": "string", "description": "Which location to send when the search returned more than one." }
+      },
+      "required": ["caller_agreed"]
+    }
+  }
+]'::jsonb
+where agent_key in ('pickup', 'items', 'reminder') and not tools @> '[{"name": "send_sms"}]'::jsonb;
+
+-- PICKUP_SMS_TEMPLATE is the fallback
+insert into answer_templates (key, spoken_template, language, is_active)
+select 'pickup_sms',
+  'Chasdei Lev pickup: {{location.name}}, {{location.address}}.{{#if location.hours}} Hours: {{location.hours}}.{{/if}}'
+    || '{{#if location.map_url}} Map: {{location.map_url}}{{/if}}',
+  'en', true
+where not exists (select 1 from answer_templates where key = 'pickup_sms' and language = 'en');
+
+create table if not exists cl_phone_sms (
+  id                bigint generated always as identity primary key,
+  call_sid          text not null,
+  agent             text,
+  to_number         text not null,
+  body              text not null,
+  message_sid       text,
+  -- What the caller said last before the text went out
+  consent_utterance text,
+  error             text,
+  created_at        timestamptz not null default now()
+);
+
+create index if not exists cl_phone_sms_call_sid_idx on cl_phone_sms (call_sid);
@@ -0,0 +1,79 @@
+-- Orders agent: answers "did my order go through?" with lookup_order (server.js,
+-- orders.js), which finds orders by order number or caller ID and only reveals
+-- them once the caller gives the order's last name or zip code. The router now
+-- hands the orders intent to it instead of keeping it.
+-- Router prompts that tell the model to say a canned line for orders should drop it.
+
+create table if not exists cl_orders (
+  order_number    text primary key,
+  phone           text, -- E.164, matched against caller ID
+  last_name       text,
+  zip             text,
+  status          text,
+  items           jsonb not null default '[]'::jsonb,
+  pickup_location jsonb, -- { name, address, hours }
+  updated_at      timestamptz not null default now()
+);
+
+create index if not exists cl_orders_phone_idx on cl_orders (phone);
+
+insert into cl_phone_agents (slug, agent_key, env, is_active, system_prompt, handoff_targets, tool_endpoints, tools)
+select
+  'orders-dev',
+  'orders',
+  'dev',
+  true,
+  'You are the Chasdei Lev orders agent. Callers ask whether their order went through, what is in it, and '
+    || 'where to pick it up. Use lookup_order: it searches by the caller''s phone number unless you pass an '
+    || 'order number (ask them to say it or key it in with collect_digits if the phone search finds nothing). '
+    || 'Before any details, ask for the last name or zip code on the order and pass it as verification. '
+    || 'Never guess or reveal anything lookup_order did not return. If verification fails, let them try again; '
+    || 'once it is locked, offer to connect them to the office. For other questions, use handoff_to_router.',
+  '{router}',
+  '{"lookup_order": "env:ORDER_LOOKUP_ENDPOINT"}',
+  '[
+    {
+      "name": "lookup_order",
+      "description": "Look up the caller''s orders: status, package contents and assigned pickup location. Searches by the caller''s phone number unless order_number is given. Returns verification_required until you pass the last name or zip code the caller gave.",
+      "parameters": {
+        "type": "object",
+        "properties": {
+          "order_number": { "type": "string", "description": "Order number the caller said or keyed in, if any." },
+          "verification": { "type": "string", "description": "Last name or zip code on the order, exactly as the caller gave it." }
+        }
+      }
+    },
+    {
+      "name": "collect_digits",
+      "description": "Collect digits the caller types on the phone keypad (e.g. an order number or zip code). First tell the caller what to enter and to press pound when done; the digits come back as this tool''s output.",
+      "parameters": {
+        "type": "object",
+        "properties": {
+          "purpose": { "type": "string", "description": "What is being collected, e.g. order_number or zip_code." },
+          "max_digits": { "type": "integer", "description": "Stop automatically after this many digits." },
+          "timeout_seconds": { "type": "integer", "description": "Give up after this many seconds without a key press (default 15)." }
+        },
+        "required": ["purpose"]
+      }
+    },
+    {
+      "name": "handoff_to_router",
+      "description": "Return control to the router agent when the caller asks about something other than orders.",
+      "parameters": {
+        "type": "object",
+        "properties": { "question": { "type": "string" } },
+        "required": ["question"]
+      }
+    }
+  ]'
+where not exists (select 1 from cl_phone_agents where agent_key = 'orders' and env = 'dev');
+
+insert into cl_phone_agent_prompts (agent_key, env, version, system_prompt, note)
+select agent_key, env, 1, system_prompt, 'initial version'
+from cl_phone_agents
+where agent_key = 'orders' and env = 'dev'
+on conflict (agent_key, env, version) do nothing;
+
+update cl_phone_agents
+set handoff_targets = array_append(handoff_targets, 'orders')
+where agent_key = 'router' and env = 'dev' and not ('orders' = any(handoff_targets));
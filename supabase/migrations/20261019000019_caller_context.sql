@@ -0,0 +1,16 @@
+-- Caller recognition (callerContext.js): profiles of families we know, and a short
+-- summary of every call so the agent on their next call knows what happened.
+
+create table if not exists cl_callers (
+  phone              text primary key, -- E.164, matched against caller ID
+  name               text,
+  preferred_language text, -- languages.js code, e.g. 'yi'
+  pickup_location    jsonb, -- { name, address, hours }
+  updated_at         timestamptz not null default now()
+);
+
+alter table cl_phone_calls
+  add column if not exists summary text;
+
+create index if not exists cl_phone_calls_caller_number_idx
+  on cl_phone_calls (caller_number, started_at desc);
@@ -0,0 +1,26 @@
+-- Scheduled greetings (greetings.js): upload a WAV or .ulaw to the greetings
+-- bucket and add a rule for when it plays. Conditions left null always hold;
+-- a rule with dates (closures, holidays) beats one without, then priority
+-- decides. Times are in GREETING_TIMEZONE; reloaded by /refresh-prompts.
+
+insert into storage.buckets (id, name, public)
+values ('greetings', 'greetings', false)
+on conflict (id) do nothing;
+
+create table if not exists cl_greetings (
+  id           bigint generated always as identity primary key,
+  name         text not null,
+  language     text, -- languages.js code; null = any language
+  storage_path text not null, -- object in the greetings bucket, e.g. 'after-hours.wav'
+  days_of_week smallint[], -- 0 = Sunday .. 6 = Saturday
+  start_time   time,
+  end_time     time, -- before start_time: the window wraps past midnight
+  dates        date[], -- e.g. '{2026-12-25}' for a closure
+  priority     integer not null default 0,
+  is_active    boolean not null default true,
+  created_at   timestamptz not null default now()
+);
+
+-- Example: after hours on weekdays
+-- insert into cl_greetings (name, storage_path, days_of_week, start_time, end_time)
+-- values ('after hours', 'after-hours.wav', '{1,2,3,4,5}', '18:00', '09:00');
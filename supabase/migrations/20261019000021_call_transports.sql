@@ -0,0 +1,5 @@
+-- Calls arrive over Twilio, Telnyx or a browser test page (transports.js).
+-- Browser calls have no carrier call id: their call_sid is 'browser-<uuid>'.
+
+alter table cl_phone_calls
+  add column if not exists transport text not null default 'twilio';
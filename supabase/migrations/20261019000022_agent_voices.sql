@@ -0,0 +1,16 @@
+-- Per-agent voice and persona (agentRegistry.js): each agent can speak with its
+-- own ElevenLabs voice, model and voice_settings (keys override the gateway's
+-- defaults one by one), and respell words TTS gets wrong before synthesis
+-- (pronunciation.js). Null keeps the ELEVENLABS_* env. Picked up by /refresh-prompts.
+
+alter table cl_phone_agents
+  add column if not exists voice_id       text,
+  add column if not exists voice_model_id text,
+  add column if not exists voice_settings jsonb, -- e.g. { "stability": 0.6, "speed": 1.0 }
+  add column if not exists pronunciations jsonb; -- { "word or phrase": "spelling to say instead" }
+
+-- Example: the items agent with its own voice and Hebrew item names
+-- update cl_phone_agents
+-- set voice_id = '<elevenlabs voice id>',
+--     pronunciations = '{"hechsher": "hekh-sher", "Pesachdik": "PAY-sakh-dik"}'
+-- where agent_key = 'items' and env = 'dev';
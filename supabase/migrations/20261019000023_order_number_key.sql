@@ -0,0 +1,8 @@
+-- Order numbers as lookup_order searches them (orders.js normalizeOrderNumber):
+-- letters and digits only, upper case, so "A-1234", "a 1234" and "A1234" are one
+-- order. Stored numbers keep whatever format the order system uses.
+alter table cl_orders
+  add column if not exists order_number_key text
+    generated always as (upper(regexp_replace(order_number, '[^a-zA-Z0-9]', '', 'g'))) stored;
+
+create index if not exists cl_orders_order_number_key_idx on cl_orders (order_number_key);
@@ -0,0 +1,58 @@
+// telnyx.js
+// Telnyx TeXML helpers: the webhook signature check for calls Telnyx sends us,
+// and the <Connect><Stream> answer that puts a call on /telnyx-stream
+// (transports.js). TeXML is TwiML-compatible, so the XML comes from twilio.js.
+//
+// Telnyx signs each webhook with Ed25519 over "<telnyx-timestamp>|<raw body>";
+// TELNYX_PUBLIC_KEY is the base64 public key from the Telnyx portal.
+
+import crypto from 'crypto'
+import { escapeXml, twiml } from './twilio.js'
+
+// Older signatures are refused, so a captured webhook can't be replayed
+const MAX_SIGNATURE_AGE_S = 300
+
+// A raw 32-byte Ed25519 key as the DER public key node:crypto accepts
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex')
+
+export function telnyxConfigured() {
+  return !!process.env.TELNYX_PUBLIC_KEY
+}
+
+// The checks that need no body, so a webhook can be refused before it is read.
+// Returns { ok: true } or { ok: false, reason }
+export function checkTelnyxSignatureHeaders(signature, timestamp, now = Date.now()) {
+  if (!telnyxConfigured()) return { ok: false, reason: 'not_configured' }
+  if (!signature || !timestamp) return { ok: false, reason: 'missing_signature' }
+  if (!(Math.abs(now / 1000 - Number(timestamp)) <= MAX_SIGNATURE_AGE_S)) return { ok: false, reason: 'expired' }
+  return { ok: true }
+}
+
+// Returns { ok: true } or { ok: false, reason }
+export function validateTelnyxSignature(rawBody, signature, timestamp, now = Date.now()) {
+  const headers = checkTelnyxSignatureHeaders(signature, timestamp, now)
+  if (!headers.ok) return headers
+
+  try {
+    const key = crypto.createPublicKey({
+      key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(process.env.TELNYX_PUBLIC_KEY, 'base64')]),
+      format: 'der',
+      type: 'spki',
+    })
+    const valid = crypto.verify(null, Buffer.from(`${timestamp}|${rawBody}`), key, Buffer.from(signature, 'base64'))
+    return valid ? { ok: true } : { ok: false, reason: 'bad_signature' }
+  } catch {
+    return { ok: false, reason: 'bad_signature' }
+  }
+}
+
+// Bidirectional RTP in PCMU: Telnyx plays the µ-law frames we send back;
+// `parameters` arrive as start.custom_parameters
+export function telnyxStreamTexml(url, parameters = {}) {
+  const params = Object.entries(parameters)
+    .map(([name, value]) => `<Parameter name="${escapeXml(name)}" value="${escapeXml(value)}"/>`)
+    .join('')
+  return twiml(
+    `<Connect><Stream url="${escapeXml(url)}" bidirectionalMode="rtp" bidirectionalCodec="PCMU">${params}</Stream></Connect>`
+  )
+}
@@ -0,0 +1,96 @@
+// toolClient.js
+// HTTP calls to tool endpoints (ROUTER_ENDPOINT etc.) with per-tool timeout,
+// retry with exponential backoff, and a per-endpoint circuit breaker.
+//
+// Failures throw an Error with `code`:
+//   not_configured | circuit_open | timeout | http_error | network_error
+// and `attempts` (how many requests were made).
+//
+// Env defaults (a tool definition in cl_phone_agents can override the first three
+// with timeout_ms / retries / retry_backoff_ms):
+//   TOOL_TIMEOUT_MS (15000), TOOL_RETRIES (1), TOOL_RETRY_BACKOFF_MS (300),
+//   TOOL_CIRCUIT_THRESHOLD (5 consecutive failures), TOOL_CIRCUIT_RESET_MS (30000)
+
+import axios from 'axios'
+
+// url -> { failures, openUntil }
+const circuits = new Map()
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name])
+  return Number.isFinite(n) && process.env[name] !== '' ? n : fallback
+}
+
+export function defaultToolOptions() {
+  return {
+    timeoutMs: envNumber('TOOL_TIMEOUT_MS', 15000),
+    retries: envNumber('TOOL_RETRIES', 1),
+    backoffMs: envNumber('TOOL_RETRY_BACKOFF_MS', 300),
+  }
+}
+
+function toolError(code, message, attempts, cause = null) {
+  const err = new Error(message)
+  err.code = code
+  err.attempts = attempts
+  err.response = cause?.response
+  return err
+}
+
+function classify(e) {
+  if (e?.code === 'ECONNABORTED' || e?.code === 'ETIMEDOUT') return { code: 'timeout', retryable: true }
+  const status = e?.response?.status
+  if (status) return { code: 'http_error', retryable: status >= 500 || status === 429 }
+  return { code: 'network_error', retryable: true }
+}
+
+function circuitFor(url) {
+  if (!circuits.has(url)) circuits.set(url, { failures: 0, openUntil: 0 })
+  return circuits.get(url)
+}
+
+function recordFailure(url) {
+  const circuit = circuitFor(url)
+  circuit.failures += 1
+  if (circuit.failures >= envNumber('TOOL_CIRCUIT_THRESHOLD', 5)) {
+    circuit.openUntil = Date.now() + envNumber('TOOL_CIRCUIT_RESET_MS', 30000)
+    console.warn('[ToolClient] Circuit open for', url, 'after', circuit.failures, 'failures')
+  }
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms))
+
+// Returns the endpoint's JSON output ({} if empty)
+export async function callToolEndpoint(url, payload, options = {}) {
+  const { timeoutMs, retries, backoffMs } = { ...defaultToolOptions(), ...options }
+
+  if (!url) throw toolError('not_configured', 'endpoint not configured', 0)
+
+  // Open circuit: fail fast. After openUntil one request goes through (half-open);
+  // its failure re-opens the circuit immediately since failures stay >= threshold.
+  const circuit = circuitFor(url)
+  if (Date.now() < circuit.openUntil) {
+    throw toolError('circuit_open', `circuit open for ${url}`, 0)
+  }
+
+  let attempts = 0
+  for (;;) {
+    attempts += 1
+    try {
+      const resp = await axios.post(url, payload, { timeout: timeoutMs })
+      circuit.failures = 0
+      circuit.openUntil = 0
+      return resp.data || {}
+    } catch (e) {
+      const { code, retryable } = classify(e)
+      recordFailure(url)
+
+      const canRetry = retryable && attempts <= retries && Date.now() >= circuit.openUntil
+      console.warn(`[ToolClient] ${url} attempt ${attempts} failed (${code}: ${e?.message})${canRetry ? ', retrying' : ''}`)
+      if (!canRetry) throw toolError(code, e?.message || code, attempts, e)
+
+      // Exponential backoff with a little jitter
+      await sleep(backoffMs * 2 ** (attempts - 1) + Math.random() * backoffMs)
+    }
+  }
+}
@@ -0,0 +1,122 @@
+// transfer.js
+// Warm transfer to the office, with business hours and a voicemail fallback.
+//
+// Env:
+//   TRANSFER_NUMBER          office number(s), comma-separated to ring together
+//   TRANSFER_DIAL_TIMEOUT_S  ring time before falling back to voicemail (default 25)
+//   OFFICE_HOURS             e.g. "sun-thu 09:00-17:00; fri 09:00-12:00" (unset = always open)
+//   OFFICE_TIMEZONE          IANA zone for OFFICE_HOURS (default America/New_York)
+//   VOICEMAIL_MAX_SECONDS    max voicemail length (default 180)
+//   PUBLIC_BASE_URL          needed for the no-answer -> voicemail callback
+
+import { escapeXml, publicUrl, twiml, updateCall } from './twilio.js'
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']
+
+function toMinutes(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number)
+  return h * 60 + (m || 0)
+}
+
+// "sun-thu 09:00-17:00; fri 09:00-12:00" -> [{ days: Set<0..6>, from, to }] (minutes)
+function parseOfficeHours(spec) {
+  const rules = []
+  for (const part of spec.split(';')) {
+    const m = part.trim().toLowerCase().match(/^([a-z]{3})(?:-([a-z]{3}))?\s+(\d{1,2}:\d{2})-(\d{1,2}:\d{2})$/)
+    if (!m) {
+      if (part.trim()) console.warn('[Transfer] Ignoring OFFICE_HOURS rule:', part.trim())
+      continue
+    }
+    const start = DAYS.indexOf(m[1])
+    const end = m[2] ? DAYS.indexOf(m[2]) : start
+    if (start < 0 || end < 0) continue
+
+    const days = new Set()
+    for (let d = start; ; d = (d + 1) % 7) {
+      days.add(d)
+      if (d === end) break
+    }
+    rules.push({ days, from: toMinutes(m[3]), to: toMinutes(m[4]) })
+  }
+  return rules
+}
+
+export function officeIsOpen(date = new Date()) {
+  const spec = process.env.OFFICE_HOURS
+  if (!spec) return true
+
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: process.env.OFFICE_TIMEZONE || 'America/New_York',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date)
+  const get = (type) => parts.find((p) => p.type === type)?.value
+  const day = DAYS.indexOf(get('weekday').toLowerCase())
+  const minutes = Number(get('hour')) * 60 + Number(get('minute'))
+
+  return parseOfficeHours(spec).some((r) => r.days.has(day) && minutes >= r.from && minutes < r.to)
+}
+
+function transferNumbers() {
+  return (process.env.TRANSFER_NUMBER || '')
+    .split(',')
+    .map((n) => n.trim())
+    .filter(Boolean)
+}
+
+export function voicemailTwiml(intro = 'Please leave a message after the beep.') {
+  const maxLength = Number(process.env.VOICEMAIL_MAX_SECONDS) || 180
+  const action = publicUrl('/transfer/voicemail-done')
+  const statusCallback = publicUrl('/transfer/voicemail-recording')
+
+  return twiml(
+    `<Say>${escapeXml(intro)}</Say>` +
+      `<Record maxLength="${maxLength}" playBeep="true"` +
+      (action ? ` action="${escapeXml(action)}"` : '') +
+      (statusCallback ? ` recordingStatusCallback="${escapeXml(statusCallback)}"` : '') +
+      ' />' +
+      (action ? '' : '<Say>Thank you. Goodbye.</Say><Hangup/>')
+  )
+}
+
+export function voicemailDoneTwiml() {
+  return twiml('<Say>Thank you. Goodbye.</Say><Hangup/>')
+}
+
+// Called by Twilio when the <Dial> ends: bridged calls just hang up, anything
+// else (no-answer, busy, failed) goes to voicemail.
+export function dialStatusTwiml(dialCallStatus) {
+  if (dialCallStatus === 'completed' || dialCallStatus === 'answered') return twiml('<Hangup/>')
+  return voicemailTwiml('Sorry, nobody is available to take your call. Please leave a message after the beep.')
+}
+
+function dialTwiml(numbers) {
+  const timeout = Number(process.env.TRANSFER_DIAL_TIMEOUT_S) || 25
+  const action = publicUrl('/transfer/dial-status')
+  if (!action) console.warn('[Transfer] PUBLIC_BASE_URL not set; no voicemail fallback if nobody answers')
+
+  return twiml(
+    `<Dial timeout="${timeout}"${action ? ` action="${escapeXml(action)}"` : ''}>` +
+      numbers.map((n) => `<Number>${escapeXml(n)}</Number>`).join('') +
+      '</Dial>'
+  )
+}
+
+// Decides where the caller goes without touching the call yet.
+// Returns { mode: 'dial' | 'voicemail', twiml }
+export function planTransfer(date = new Date()) {
+  const numbers = transferNumbers()
+  if (!numbers.length) console.warn('[Transfer] TRANSFER_NUMBER not configured, using voicemail')
+  if (!numbers.length || !officeIsOpen(date)) {
+    return { mode: 'voicemail', twiml: voicemailTwiml() }
+  }
+  return { mode: 'dial', twiml: dialTwiml(numbers) }
+}
+
+// Moves the live call off the media stream onto the planned TwiML.
+// Twilio ends the stream (we get a `stop` event) as soon as this succeeds.
+export async function executeTransfer(callSid, plan) {
+  await updateCall(callSid, { Twiml: plan.twiml })
+}
@@ -0,0 +1,224 @@
+// transports.js
+// The media streams a call can arrive over, each on its own WebSocket path.
+// server.js talks to every call through the same small interface, so the
+// conversation code never sees a carrier's message shapes:
+//
+//   transport.parse(raw, isBinary) -> event or null
+//     { type: 'start', callId, streamId, customParameters, auth? }
+//     { type: 'media', payload, timestamp }   payload: base64 8 kHz µ-law
+//     { type: 'dtmf', digit }
+//     { type: 'stop' }
+//   transport.sendMedia(b64)  one 20 ms µ-law frame
+//   transport.clear()         drop audio the other side still has buffered
+//   transport.close(code, reason)
+//
+// `kind` says who carries the call: Twilio REST (hang-up, transfers, texts from
+// the dialed number) only works for 'twilio'. Telephony transports authenticate
+// with the stream token from their voice webhook (streamAuth.js); the browser one
+// brings its own `auth` in the start event.
+//
+//   /twilio-stream   Twilio Media Streams (<Connect><Stream> from /voice)
+//   /telnyx-stream   Telnyx media streaming (TeXML <Connect><Stream> from /telnyx/voice,
+//                    bidirectional RTP in PCMU)
+//   /browser-stream  test calls from a web page (GET /browser-call): JSON control
+//                    messages and binary PCM16 mono frames at the page's sample rate,
+//                    transcoded to and from µ-law here
+
+import crypto from 'crypto'
+import WebSocket from 'ws'
+import { createPcmTranscoder } from './audioCodec.js'
+
+export const TRANSPORT_PATHS = {
+  '/twilio-stream': 'twilio',
+  '/telnyx-stream': 'telnyx',
+  '/browser-stream': 'browser',
+}
+
+function parseJson(raw) {
+  try {
+    return JSON.parse(raw.toString())
+  } catch {
+    return null
+  }
+}
+
+// Shared by all transports: sends only while the socket is open
+function socketTransport(ws, kind) {
+  const send = (data) => {
+    if (ws.readyState === WebSocket.OPEN) ws.send(data)
+  }
+  return {
+    kind,
+    send,
+    sendJson: (obj) => send(JSON.stringify(obj)),
+    close: (code, reason) => ws.close(code, reason),
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Twilio Media Streams
+// ---------------------------------------------------------------------------
+
+function twilioTransport(ws) {
+  const t = socketTransport(ws, 'twilio')
+  let streamSid = null
+
+  return {
+    ...t,
+    parse(raw) {
+      const msg = parseJson(raw)
+      switch (msg?.event) {
+        case 'start':
+          streamSid = msg.start?.streamSid || null
+          return {
+            type: 'start',
+            callId: msg.start?.callSid || null,
+            streamId: streamSid,
+            customParameters: msg.start?.customParameters || {},
+          }
+        case 'media':
+          return { type: 'media', payload: msg.media?.payload || '', timestamp: msg.media?.timestamp }
+        case 'dtmf':
+          return { type: 'dtmf', digit: msg.dtmf?.digit }
+        case 'stop':
+          return { type: 'stop' }
+        default:
+          return null
+      }
+    },
+    sendMedia(b64) {
+      t.sendJson({ event: 'media', streamSid, media: { payload: b64 } })
+    },
+    clear() {
+      if (streamSid) t.sendJson({ event: 'clear', streamSid })
+    },
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Telnyx media streaming
+// ---------------------------------------------------------------------------
+// Same ideas as Twilio in snake_case. The call is identified by its
+// call_control_id, which is what /telnyx/voice binds the stream token to.
+
+function telnyxTransport(ws) {
+  const t = socketTransport(ws, 'telnyx')
+
+  return {
+    ...t,
+    parse(raw) {
+      const msg = parseJson(raw)
+      switch (msg?.event) {
+        case 'start':
+          return {
+            type: 'start',
+            callId: msg.start?.call_control_id || null,
+            streamId: msg.stream_id || null,
+            customParameters: msg.start?.custom_parameters || {},
+          }
+        case 'media':
+          // Only the caller: Telnyx can also echo our own track back
+          if (msg.media?.track && msg.media.track !== 'inbound') return null
+          return { type: 'media', payload: msg.media?.payload || '', timestamp: msg.media?.timestamp }
+        case 'dtmf':
+          return { type: 'dtmf', digit: msg.dtmf?.digit }
+        case 'stop':
+          return { type: 'stop' }
+        default:
+          return null
+      }
+    },
+    sendMedia(b64) {
+      t.sendJson({ event: 'media', media: { payload: b64 } })
+    },
+    clear() {
+      t.sendJson({ event: 'clear' })
+    },
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Browser test calls
+// ---------------------------------------------------------------------------
+// Page -> gateway:
+//   { "type": "start", "secret": "...", "sample_rate": 48000,
+//     "agent": "items", "language": "yi", "caller_number": "+1..." }   (all but secret optional)
+//   binary PCM16 mono frames, { "type": "dtmf", "digit": "1" }, { "type": "stop" }
+// Gateway -> page: { "type": "started", "call_id" }, binary PCM16 at the page's
+// sample rate, { "type": "clear" }
+//
+// The secret is BROWSER_CALL_SECRET (falls back to ADMIN_API_SECRET): whoever
+// has it can talk to the agents on our OpenAI and ElevenLabs credits.
+
+const BROWSER_SAMPLE_RATES = [8000, 16000, 22050, 24000, 32000, 44100, 48000]
+
+function browserSecretMatches(secret) {
+  const expected = process.env.BROWSER_CALL_SECRET || process.env.ADMIN_API_SECRET || ''
+  if (!expected) return { ok: false, reason: 'not_configured' }
+  if (!secret) return { ok: false, reason: 'missing_secret' }
+  // Byte lengths, not characters: timingSafeEqual throws when they differ
+  const given = Buffer.from(String(secret))
+  const want = Buffer.from(expected)
+  return given.length === want.length && crypto.timingSafeEqual(given, want) ? { ok: true } : { ok: false, reason: 'bad_secret' }
+}
+
+function browserTransport(ws) {
+  const t = socketTransport(ws, 'browser')
+  let codec = null
+
+  return {
+    ...t,
+    parse(raw, isBinary) {
+      if (isBinary) {
+        if (!codec) return null
+        return { type: 'media', payload: codec.toUlaw(Buffer.from(raw)).toString('base64') }
+      }
+
+      const msg = parseJson(raw)
+      switch (msg?.type) {
+        case 'start': {
+          if (codec) return null
+          const rate = Number(msg.sample_rate) || 8000
+          if (!BROWSER_SAMPLE_RATES.includes(rate)) {
+            return { type: 'start', auth: { ok: false, reason: 'bad_sample_rate' } }
+          }
+          const check = browserSecretMatches(msg.secret)
+          if (!check.ok) return { type: 'start', auth: check }
+
+          codec = createPcmTranscoder(rate)
+          const callId = `browser-${crypto.randomUUID()}`
+          t.sendJson({ type: 'started', call_id: callId })
+          const params = {}
+          for (const [key, value] of [
+            ['from', msg.caller_number],
+            ['language', msg.language],
+            ['agent', msg.agent],
+          ]) {
+            if (value) params[key] = String(value)
+          }
+          return { type: 'start', callId, streamId: callId, customParameters: {}, auth: { ok: true, params } }
+        }
+        case 'dtmf':
+          return { type: 'dtmf', digit: String(msg.digit ?? '') }
+        case 'stop':
+          return { type: 'stop' }
+        default:
+          return null
+      }
+    },
+    sendMedia(b64) {
+      if (codec) t.send(codec.fromUlaw(Buffer.from(b64, 'base64')))
+    },
+    clear() {
+      t.sendJson({ type: 'clear' })
+    },
+  }
+}
+
+const FACTORIES = { twilio: twilioTransport, telnyx: telnyxTransport, browser: browserTransport }
+
+// The transport for a WebSocket opened on `pathname`, or null for an unknown path
+export function createTransport(pathname, ws) {
+  const kind = TRANSPORT_PATHS[pathname]
+  return kind ? FACTORIES[kind](ws) : null
+}
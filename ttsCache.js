@@ -0,0 +1,333 @@
+// ttsCache.js
+// Content-addressed cache of synthesized µ-law, keyed by sha256 of
+// (spoken text, voice id, model id, voice_settings), so repeated phrases skip
+// ElevenLabs. The spoken text is the text after the agent's pronunciation lexicon.
+//
+// Tiers, checked in order:
+//   memory    LRU bounded by TTS_CACHE_MAX_MB (default 64; 0 disables the cache)
+//   disk      TTS_CACHE_DIR, one <key>.ulaw file per entry (off when unset)
+//   storage   Supabase Storage bucket TTS_CACHE_BUCKET (off when unset)
+// A hit in a slower tier is copied into memory. Misses are synthesized once even
+// when several callers ask for the same text at the same moment.
+//
+// Stream mode (openCachedTtsStream) can't know the whole answer before it starts
+// speaking, so it waits for the first sentence: when no answer in memory opens
+// with it (the usual case) the text streams from ElevenLabs at once, and the audio
+// is stored under the full text once ElevenLabs has said all of it. Otherwise the
+// text is held until the answer is complete and played from the cache on a hit.
+
+import crypto from 'crypto'
+import fs from 'fs/promises'
+import path from 'path'
+import { supabase } from './supabaseClient.js'
+import { firstSentence, MAX_CHUNK_CHARS, openTtsStream, synthesize, toFramesB64 } from './elevenlabs.js'
+import { applyLexicon } from './pronunciation.js'
+
+const memory = new Map() // key -> Buffer, oldest first
+let memoryBytes = 0
+const inFlight = new Map() // key -> Promise<Buffer>
+
+// Stream mode's index of what is in memory: opening key (the text's first sentence,
+// see openingKey) -> number of entries starting with it, and entry key -> opening key
+const openings = new Map()
+const entryOpenings = new Map()
+
+function maxMemoryBytes() {
+  const mb = Number(process.env.TTS_CACHE_MAX_MB)
+  return (Number.isFinite(mb) && process.env.TTS_CACHE_MAX_MB !== '' ? mb : 64) * 1024 * 1024
+}
+
+export function ttsCacheKey({ text, voiceId, modelId, voiceSettings, lexicon = null }) {
+  // Sorted keys so the same settings always hash the same way
+  const settings = Object.keys(voiceSettings || {})
+    .sort()
+    .map((k) => [k, voiceSettings[k]])
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([applyLexicon(text, lexicon).trim(), voiceId, modelId, settings]))
+    .digest('hex')
+}
+
+// Key of the first sentence of `options.text` (all of it when it has just one)
+function openingKey(options) {
+  return ttsCacheKey({ ...options, text: firstSentence(`${options.text} `) || options.text })
+}
+
+// Per-call counters, see cachedSynthesize()
+export function createTtsCacheStats() {
+  return { hits: 0, misses: 0 }
+}
+
+// ---------------------------------------------------------------------------
+// Memory tier (LRU: Map iteration order is insertion order, re-insert on use)
+// ---------------------------------------------------------------------------
+
+function memoryGet(key) {
+  const audio = memory.get(key)
+  if (!audio) return null
+  memory.delete(key)
+  memory.set(key, audio)
+  return audio
+}
+
+function memoryDelete(key) {
+  const audio = memory.get(key)
+  if (!audio) return
+  memory.delete(key)
+  memoryBytes -= audio.length
+
+  const opening = entryOpenings.get(key)
+  entryOpenings.delete(key)
+  const n = openings.get(opening) - 1
+  if (n > 0) openings.set(opening, n)
+  else openings.delete(opening)
+}
+
+// `options` (with the text) index the entry for stream mode
+function memorySet(key, audio, options) {
+  const limit = maxMemoryBytes()
+  if (audio.length > limit) return
+
+  memoryDelete(key)
+  memory.set(key, audio)
+  memoryBytes += audio.length
+  const opening = openingKey(options)
+  entryOpenings.set(key, opening)
+  openings.set(opening, (openings.get(opening) || 0) + 1)
+
+  for (const oldKey of memory.keys()) {
+    if (memoryBytes <= limit) break
+    memoryDelete(oldKey)
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Persistent tiers
+// ---------------------------------------------------------------------------
+
+async function persistentGet(key) {
+  const dir = process.env.TTS_CACHE_DIR
+  if (dir) {
+    try {
+      return await fs.readFile(path.join(dir, `${key}.ulaw`))
+    } catch (e) {
+      if (e.code !== 'ENOENT') console.warn('[TTSCache] Disk read failed:', e.message)
+    }
+  }
+
+  const bucket = process.env.TTS_CACHE_BUCKET
+  if (bucket) {
+    try {
+      const { data, error } = await supabase.storage.from(bucket).download(`${key}.ulaw`)
+      if (!error && data) return Buffer.from(await data.arrayBuffer())
+    } catch (e) {
+      console.warn('[TTSCache] Storage read failed:', e?.message || e)
+    }
+  }
+
+  return null
+}
+
+// Best effort: a failed write only costs a future miss
+async function persistentSet(key, audio) {
+  const dir = process.env.TTS_CACHE_DIR
+  if (dir) {
+    try {
+      await fs.mkdir(dir, { recursive: true })
+      // Write then rename so a concurrent reader never sees a partial file
+      const tmp = path.join(dir, `${key}.${process.pid}.tmp`)
+      await fs.writeFile(tmp, audio)
+      await fs.rename(tmp, path.join(dir, `${key}.ulaw`))
+    } catch (e) {
+      console.warn('[TTSCache] Disk write failed:', e.message)
+    }
+  }
+
+  const bucket = process.env.TTS_CACHE_BUCKET
+  if (bucket) {
+    try {
+      const { error } = await supabase.storage
+        .from(bucket)
+        .upload(`${key}.ulaw`, audio, { contentType: 'audio/basic', upsert: true })
+      if (error) console.warn('[TTSCache] Storage write failed:', error.message || error)
+    } catch (e) {
+      console.warn('[TTSCache] Storage write failed:', e?.message || e)
+    }
+  }
+}
+
+// Memory, then the persistent tiers (copied into memory); null when not cached
+async function storedAudio(options) {
+  const key = ttsCacheKey(options)
+  const cached = memoryGet(key)
+  if (cached) return cached
+  const audio = await persistentGet(key)
+  if (audio) memorySet(key, audio, options)
+  return audio
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+// Same options as elevenlabs.js synthesize(). `stats` (createTtsCacheStats) is
+// bumped with the outcome; pass null for work that isn't part of a call.
+export async function cachedSynthesize(options, stats = null) {
+  if (maxMemoryBytes() <= 0) {
+    if (stats) stats.misses += 1
+    return synthesize(options)
+  }
+
+  const key = ttsCacheKey(options)
+  const cached = memoryGet(key)
+  if (cached) {
+    if (stats) stats.hits += 1
+    return cached
+  }
+
+  // Someone is already fetching or synthesizing this exact audio
+  if (inFlight.has(key)) {
+    const audio = await inFlight.get(key)
+    if (stats) stats.hits += 1
+    return audio
+  }
+
+  let synthesized = false
+  const pending = (async () => {
+    let audio = await persistentGet(key)
+    if (!audio) {
+      synthesized = true
+      audio = await synthesize(options)
+      persistentSet(key, audio)
+    }
+    memorySet(key, audio, options)
+    return audio
+  })()
+
+  inFlight.set(key, pending)
+  try {
+    const audio = await pending
+    if (stats) stats[synthesized ? 'misses' : 'hits'] += 1
+    return audio
+  } finally {
+    inFlight.delete(key)
+  }
+}
+
+// Stream mode: the same interface as elevenlabs.js openTtsStream() ({ frames,
+// pushText, finish, close }), with the cache in front, see the top of this file
+export function openCachedTtsStream(options, stats = null) {
+  if (maxMemoryBytes() <= 0) {
+    if (stats) stats.misses += 1
+    return openTtsStream(options)
+  }
+
+  let text = ''
+  // Opened with the first text, so the connection is up by the time the text goes
+  // there (`streaming`); closed unused when the answer comes from the cache
+  let upstream = null
+  let streaming = false
+  let finished = false
+  let closed = false
+  let resolveSource
+  const source = new Promise((resolve) => (resolveSource = resolve)) // { audio } | { stream } | null
+
+  const mayBeCached = (opening) => openings.has(ttsCacheKey({ ...options, text: opening }))
+
+  function streamFromElevenLabs() {
+    if (stats) stats.misses += 1
+    streaming = true
+    upstream ??= openTtsStream(options)
+    upstream.pushText(text)
+    resolveSource({ stream: upstream })
+  }
+
+  async function* frames() {
+    const from = await source
+    if (!from) return
+    if (from.audio) {
+      yield* toFramesB64(from.audio)
+      return
+    }
+
+    // Kept only if every frame was played: an interrupted answer is incomplete
+    const played = []
+    for await (const b64 of from.stream.frames) {
+      played.push(Buffer.from(b64, 'base64'))
+      yield b64
+    }
+    if (from.stream.isComplete() && text.trim()) {
+      const audio = Buffer.concat(played)
+      const key = ttsCacheKey({ ...options, text })
+      memorySet(key, audio, { ...options, text })
+      persistentSet(key, audio)
+    }
+  }
+
+  return {
+    frames: frames(),
+
+    pushText(delta) {
+      if (finished || closed || !delta) return
+      text += delta
+      upstream ??= openTtsStream(options)
+      if (streaming) return upstream.pushText(delta)
+
+      const opening = firstSentence(text)
+      if (!opening && text.length < MAX_CHUNK_CHARS) return
+      // Might be an answer we have: hold the text until finish()
+      if (opening && mayBeCached(opening)) return
+      streamFromElevenLabs()
+    },
+
+    finish() {
+      if (finished || closed) return
+      finished = true
+      if (streaming) return upstream.finish()
+      if (!text.trim()) {
+        upstream?.close()
+        return resolveSource(null)
+      }
+      if (!mayBeCached(firstSentence(`${text} `) || text)) {
+        streamFromElevenLabs()
+        return upstream.finish()
+      }
+
+      storedAudio({ ...options, text }).then((audio) => {
+        if (closed) return
+        if (!audio) {
+          streamFromElevenLabs()
+          upstream.finish()
+          return
+        }
+        if (stats) stats.hits += 1
+        upstream?.close()
+        resolveSource({ audio })
+      })
+    },
+
+    close() {
+      if (closed) return
+      closed = true
+      upstream?.close()
+      resolveSource(null)
+    },
+  }
+}
+
+// Synthesizes each text that isn't cached yet, one at a time (startup / refresh)
+export async function prewarmTtsCache(texts, options) {
+  if (maxMemoryBytes() <= 0) return
+
+  const stats = createTtsCacheStats()
+  let failed = 0
+  for (const text of new Set(texts.filter((t) => t && t.trim()))) {
+    try {
+      await cachedSynthesize({ ...options, text }, stats)
+    } catch (e) {
+      failed += 1
+      console.warn('[TTSCache] Pre-warm failed for', JSON.stringify(text.slice(0, 60)), '-', e?.message || e)
+    }
+  }
+  console.log(`[TTSCache] Pre-warmed: ${stats.hits} cached, ${stats.misses} synthesized, ${failed} failed`)
+}
@@ -0,0 +1,104 @@
+// twilio.js
+// Minimal Twilio REST + TwiML helpers (no SDK): form-encoded requests with
+// basic auth against the 2010-04-01 API, and X-Twilio-Signature checks for
+// the webhooks Twilio calls on us.
+
+import axios from 'axios'
+import crypto from 'crypto'
+
+// TWILIO_API_BASE points the gateway at a stand-in server (sim/)
+function apiBase() {
+  return (process.env.TWILIO_API_BASE || 'https://api.twilio.com').replace(/\/+$/, '') + '/2010-04-01'
+}
+
+export function twilioConfigured() {
+  return !!(process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN)
+}
+
+async function twilioPost(path, params) {
+  const { TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN } = process.env
+  if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN) {
+    throw new Error('TWILIO_ACCOUNT_SID / TWILIO_AUTH_TOKEN not configured')
+  }
+
+  const resp = await axios.post(
+    `${apiBase()}/Accounts/${TWILIO_ACCOUNT_SID}${path}`,
+    new URLSearchParams(params).toString(),
+    {
+      auth: { username: TWILIO_ACCOUNT_SID, password: TWILIO_AUTH_TOKEN },
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: 10000,
+    }
+  )
+  return resp.data
+}
+
+// Replace what a live call is doing, e.g. { Twiml: '<Response>...</Response>' }
+export async function updateCall(callSid, params) {
+  return twilioPost(`/Calls/${callSid}.json`, params)
+}
+
+export async function hangupCall(callSid) {
+  return updateCall(callSid, { Status: 'completed' })
+}
+
+// Place a call, e.g. { To, From, Url, StatusCallback }; resolves to the call resource
+export async function createCall(params) {
+  return twilioPost('/Calls.json', params)
+}
+
+// Send a text; resolves to the message resource (its sid is the Message SID)
+export async function sendSms({ to, from, body }) {
+  return twilioPost('/Messages.json', { To: to, From: from, Body: body })
+}
+
+export function escapeXml(value) {
+  return String(value ?? '')
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&apos;')
+}
+
+export function twiml(body) {
+  return `<?xml version="1.0" encoding="UTF-8"?><Response>${body}</Response>`
+}
+
+// <Connect><Stream> to our media stream; `parameters` arrive as start.customParameters
+export function streamTwiml(url, parameters = {}) {
+  const params = Object.entries(parameters)
+    .map(([name, value]) => `<Parameter name="${escapeXml(name)}" value="${escapeXml(value)}"/>`)
+    .join('')
+  return twiml(`<Connect><Stream url="${escapeXml(url)}">${params}</Stream></Connect>`)
+}
+
+// Twilio's webhook signature: HMAC-SHA1 over the full URL followed by each POST
+// param name+value, sorted by name, keyed with the auth token (base64)
+export function twilioSignature(authToken, url, params = {}) {
+  const data =
+    url +
+    Object.keys(params)
+      .sort()
+      .map((k) => `${k}${params[k]}`)
+      .join('')
+  return crypto.createHmac('sha1', authToken).update(data).digest('base64')
+}
+
+export function validateTwilioSignature(url, params, signature) {
+  const authToken = process.env.TWILIO_AUTH_TOKEN
+  if (!authToken || !signature) return false
+  const expected = Buffer.from(twilioSignature(authToken, url, params))
+  const given = Buffer.from(signature)
+  // Byte lengths: timingSafeEqual throws on a mismatch, and a non-ASCII header
+  // can have the right number of characters
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given)
+}
+
+// Public https URL of this gateway for Twilio callbacks (PUBLIC_BASE_URL), or null
+export function publicUrl(path, query = null) {
+  const base = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '')
+  if (!base) return null
+  const qs = query ? `?${new URLSearchParams(query).toString()}` : ''
+  return `${base}${path}${qs}`
+}